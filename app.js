@@ -1,11 +1,28 @@
 "use strict";
 
 const Homey = require("homey");
+const ConnectionPool = require("./lib/connectionPool");
+const InboundServer = require("./lib/inboundServer");
 
 class MyApp extends Homey.App {
   async onInit() {
+    // Shared WebSocket connections, one per physical Shelly
+    this.connectionPool = new ConnectionPool(this.homey);
+
+    // Receives the outbound WebSocket of sleeping devices
+    this.inboundServer = new InboundServer(this.homey, this.connectionPool);
+    try {
+      await this.inboundServer.listen();
+    } catch (err) {
+      this.error(`Failed to start inbound WebSocket server on port ${this.inboundServer.port}:`, err);
+    }
+
     this.log("Shelly Gen2 App gestartet");
   }
+
+  async onUninit() {
+    this.inboundServer.close();
+  }
 }
 
 module.exports = MyApp;
@@ -1,16 +1,27 @@
 'use strict';
 
 const Homey = require('homey');
-const ShellyApi = require("../../lib/shellyApi");
+const ConnectionPool = require('../../lib/connectionPool');
+const DeviceDiscovery = require('../../lib/deviceDiscovery');
 const DeviceFactory = require('../../lib/deviceFactory');
+const BaseDevice = require('../../lib/devices/BaseDevice');
+
+// Components that are bound to a device of their own independent of the profile
+const PROFILE_INDEPENDENT = ['multiswitch', 'sensor', 'em', 'em1'];
 
 class ShellyGen2Device extends Homey.Device {
   async onInit() {
     this.log("Shelly Gen2 Device initialized");
 
     const ip = this.getSetting("ip");
-    // Initialize API with IP and device ID
-    this.api = new ShellyApi(ip, this.getData().id);
+    // Share one connection between all channels of the same Shelly
+    this.shellyId = ConnectionPool.getShellyId(this.getData().id);
+    this.api = this.homey.app.connectionPool.acquire(ip, this.shellyId, this.getSetting("password"), {
+      sleeping: this.getStoreValue("sleeping") === true
+    });
+
+    // Devices paired with an older version miss capabilities added since
+    await this.migrateCapabilities();
 
     // DeviceFactory erzeugt passendes Device
     this.impl = await DeviceFactory.create(this, this.api);
@@ -18,6 +29,146 @@ class ShellyGen2Device extends Homey.Device {
     // Device initialisieren
     await this.impl.init();
   }
+
+  /**
+   * Add the capabilities of the device type that are not present yet
+   */
+  async migrateCapabilities() {
+    const type = DeviceFactory.getType(this);
+
+    const options = { sensors: this.getStoreValue("sensors"), channels: this.getStoreValue("channels") };
+    for (const capability of DeviceFactory.getCapabilities(type, options)) {
+      if (!this.hasCapability(capability)) {
+        this.log(`Adding capability ${capability}`);
+        await this.addCapability(capability).catch(this.error);
+      }
+    }
+
+    const deviceClass = DeviceFactory.getClass(type);
+    if (deviceClass && this.getClass() !== deviceClass) {
+      await this.setClass(deviceClass).catch(this.error);
+    }
+
+    const energy = DeviceFactory.getEnergy(type);
+    if (energy && JSON.stringify(this.getEnergy()) !== JSON.stringify(energy)) {
+      await this.setEnergy(energy).catch(this.error);
+    }
+  }
+
+  async onSettings({ newSettings, changedKeys }) {
+    let ip;
+    if (changedKeys.includes("ip")) {
+      // Throws a user readable error for invalid input, Homey then keeps the old value
+      ip = DeviceDiscovery.normalizeHost(newSettings.ip);
+      if (ip !== newSettings.ip) {
+        // Homey stores the input as entered, the next start would connect to it
+        throw new Error(`Enter the address without scheme, path or spaces, e.g. ${ip}`);
+      }
+    }
+
+    // Throwing keeps the old values in Homey, so a rejected config is rolled back
+    if (this.impl) {
+      await this.impl.writeConfig(newSettings, changedKeys);
+    }
+
+    if (ip) {
+      this.log(`IP changed to ${ip}, rebuilding connection`);
+      // Moves the shared connection and updates the settings of all other channels
+      this.api.setAddress(ip);
+    }
+
+    if (changedKeys.includes("password")) {
+      // All channels of this Shelly share the connection and therefore the password
+      for (const device of this.driver.getDevices()) {
+        if (device !== this && device.shellyId === this.shellyId) {
+          await device.setSettings({ password: newSettings.password }).catch(this.error);
+        }
+      }
+      this.api.setPassword(newSettings.password);
+    }
+  }
+
+  /**
+   * Bind the device to a channel of the current profile after the Shelly was reconfigured
+   * Re-discovers the unit and swaps implementation and capabilities in place
+   * @returns {Promise<string>} Component and channel the device is bound to now, e.g. "cover:0"
+   */
+  async repair() {
+    const discovery = new DeviceDiscovery(this.homey, { password: this.getSetting("password") });
+    const entries = await discovery.probeDevice(this.getSetting("ip"));
+    const current = BaseDevice.getBinding(this);
+
+    // Channels already used by other devices of the same Shelly
+    const taken = this.driver.getDevices()
+      .filter(device => device !== this && device.shellyId === this.shellyId)
+      .map(device => BaseDevice.getBinding(device))
+      .map(({ component, channel }) => `${component}:${channel}`);
+
+    const candidates = entries.filter(entry =>
+      !taken.includes(`${entry.component}:${entry.channel}`) &&
+      (entry.component === current.component || !PROFILE_INDEPENDENT.includes(entry.component))
+    );
+    const entry = candidates.find(e => e.component === current.component && e.channel === current.channel)
+      || candidates.find(e => e.channel === current.channel)
+      || candidates[0];
+
+    if (!entry) {
+      throw new Error('All channels of the Shelly are already in use, remove this device instead');
+    }
+
+    this.log(`Repairing: ${current.component}:${current.channel} (${this.getSetting("profile")}) -> ` +
+      `${entry.component}:${entry.channel} (${entry.profile})`);
+
+    if (this.impl) {
+      await this.impl.destroy();
+      this.impl = null;
+    }
+
+    await this.setStoreValue("binding", { component: entry.component, channel: entry.channel });
+    await this.setStoreValue("inputs", entry.inputs);
+    await this.setStoreValue("sensors", entry.sensors);
+    await this.setStoreValue("channels", entry.channels);
+    await this.setSettings({ profile: entry.profile || '' });
+
+    // Drop what the new type does not have, input_state.* is added again on demand
+    const type = DeviceFactory.getType(this);
+    const capabilities = DeviceFactory.getCapabilities(type, entry);
+    for (const capability of this.getCapabilities()) {
+      if (!capabilities.includes(capability)) {
+        this.log(`Removing capability ${capability}`);
+        await this.removeCapability(capability).catch(this.error);
+      }
+    }
+    await this.migrateCapabilities();
+
+    this.impl = await DeviceFactory.create(this, this.api);
+    await this.impl.init();
+
+    return `${entry.component}:${entry.channel}`;
+  }
+
+  async onUninit() {
+    await this.releaseConnection();
+  }
+
+  async onDeleted() {
+    this.log("Shelly Gen2 Device deleted");
+    await this.releaseConnection();
+  }
+
+  /**
+   * Detach from the shared connection, closing it when this was the last channel
+   */
+  async releaseConnection() {
+    if (this.impl) {
+      await this.impl.destroy();
+      this.impl = null;
+    }
+    if (this.api) {
+      this.homey.app.connectionPool.release(this.api);
+      this.api = null;
+    }
+  }
 }
 
 module.exports = ShellyGen2Device;
@@ -4,6 +4,17 @@ const Homey = require('homey');
 const DeviceDiscovery = require('../../lib/deviceDiscovery');
 const DeviceFactory = require("../../lib/deviceFactory");
 
+const PROBE_ERRORS = {
+  INVALID_HOST: 'Please enter a valid IP address or hostname',
+  NOT_SHELLY_DEVICE: 'The device does not answer like a Shelly Gen2 device',
+  ENOTFOUND: 'The hostname could not be resolved',
+  ECONNREFUSED: 'The device refused the connection',
+  EHOSTUNREACH: 'The device is not reachable',
+  ETIMEDOUT: 'The device did not answer in time',
+  CONNECTION_FAILED: 'The device is not reachable',
+  PASSWORD_REQUIRED: 'The device is password protected, please enter its password'
+};
+
 module.exports = class MyDriver extends Homey.Driver {
 
   /**
@@ -11,37 +22,234 @@ module.exports = class MyDriver extends Homey.Driver {
    */
   async onInit() {
     this.log("Shelly Gen2 Driver initialized");
+    this.registerFlowCards();
+  }
+
+  /**
+   * Register the run listeners of the driver's flow cards
+   * Cards act on the channel of the selected device through its implementation
+   */
+  registerFlowCards() {
+    const impl = (device) => {
+      if (!device.impl) {
+        throw new Error('Device is not ready yet');
+      }
+      return device.impl;
+    };
+
+    this.homey.flow.getDeviceTriggerCard('power_rose_above')
+      .registerRunListener(async (args, state) => state.previous <= args.power && state.current > args.power);
+
+    this.homey.flow.getDeviceTriggerCard('power_fell_below')
+      .registerRunListener(async (args, state) => state.previous >= args.power && state.current < args.power);
+
+    this.homey.flow.getDeviceTriggerCard('cover_reached_position')
+      .registerRunListener(async (args, state) => Math.abs(args.position - state.position) <= 1);
+
+    this.homey.flow.getConditionCard('cover_is_moving')
+      .registerRunListener(async ({ device }) => impl(device).isMoving());
+
+    this.homey.flow.getActionCard('switch_on_for')
+      .registerRunListener(async ({ device, seconds }) => impl(device).turnOnFor(seconds));
+
+    this.homey.flow.getActionCard('switch_toggle')
+      .registerRunListener(async ({ device }) => impl(device).toggle());
+
+    this.homey.flow.getActionCard('cover_go_to_position_wait')
+      .registerRunListener(async ({ device, position }) => impl(device).goToPositionAndWait(position));
+
+    this.homey.flow.getActionCard('cover_stop')
+      .registerRunListener(async ({ device }) => impl(device).stop());
+
+    this.homey.flow.getActionCard('configure_outbound_ws')
+      .registerRunListener(async ({ device }) => impl(device).configureOutboundWebSocket());
+
+    this.homey.flow.getActionCard('firmware_update')
+      .registerRunListener(async ({ device, stage }) => impl(device).updateFirmware(stage));
+
+    this.homey.flow.getActionCard('firmware_update_all')
+      .registerRunListener(async ({ stage }) => this.updateAllFirmware(stage));
+
+    this.homey.flow.getActionCard('script_upload')
+      .registerRunListener(async ({ device, name, code }) => impl(device).uploadScript(name, code));
+
+    const scriptCards = {
+      script_start: ({ device, script }) => impl(device).api.startScript(script.id),
+      script_stop: ({ device, script }) => impl(device).api.stopScript(script.id),
+      script_set_enabled: ({ device, script, enable }) => impl(device).api.setScriptConfig(script.id, {
+        enable: enable === 'on'
+      })
+    };
+    for (const [cardId, listener] of Object.entries(scriptCards)) {
+      this.homey.flow.getActionCard(cardId)
+        .registerRunListener(async args => listener(args))
+        .registerArgumentAutocompleteListener('script', async (query, { device }) => {
+          const scripts = await impl(device).api.listScripts();
+          return scripts
+            .map(script => ({
+              id: script.id,
+              name: script.name || `Script ${script.id}`,
+              description: `${script.running ? 'running' : 'stopped'}${script.enable ? ', starts at boot' : ''}`
+            }))
+            .filter(script => script.name.toLowerCase().includes(query.toLowerCase()));
+        });
+    }
+
+    this.homey.flow.getActionCard('schedule_switch_add')
+      .registerRunListener(async ({ device, state, time, days }) => impl(device).addSchedule(time, days, state === 'on'));
+
+    this.homey.flow.getActionCard('schedule_cover_add')
+      .registerRunListener(async ({ device, position, time, days }) => impl(device).addSchedule(time, days, position));
+
+    const scheduleCards = {
+      schedule_remove: ({ device, schedule }) => impl(device).removeSchedule(schedule.id),
+      schedule_set_enabled: ({ device, schedule, enable }) => impl(device).setScheduleEnabled(schedule.id, enable === 'on')
+    };
+    for (const [cardId, listener] of Object.entries(scheduleCards)) {
+      this.homey.flow.getActionCard(cardId)
+        .registerRunListener(async args => listener(args))
+        .registerArgumentAutocompleteListener('schedule', async (query, { device }) => {
+          const jobs = await impl(device).getSchedules();
+          return jobs
+            .map(job => ({ id: job.id, name: impl(device).describeSchedule(job) }))
+            .filter(schedule => schedule.name.toLowerCase().includes(query.toLowerCase()));
+        });
+    }
+  }
+
+  /**
+   * Install available firmware updates on every paired Shelly
+   * Each Shelly is updated once through the first of its Homey devices
+   * @param {string} stage - "stable" or "beta"
+   */
+  async updateAllFirmware(stage) {
+    const shellys = new Map();
+    for (const device of this.getDevices()) {
+      if (device.impl && !shellys.has(device.shellyId)) {
+        shellys.set(device.shellyId, device);
+      }
+    }
+
+    const failed = [];
+    for (const [shellyId, device] of shellys) {
+      try {
+        await device.impl.updateFirmware(stage);
+      } catch (err) {
+        this.error(`Firmware update of ${shellyId} failed:`, err.message);
+        failed.push(device.getName());
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Firmware update failed for ${failed.join(', ')}`);
+    }
+  }
+
+  async onPair(session) {
+    let password = '';
+    let manualDevices = null;
+
+    // Optional password for protected devices, entered in the first pairing view
+    session.setHandler('set_password', async (data) => {
+      password = data.password || '';
+      manualDevices = null;
+      return true;
+    });
+
+    // Manual pairing: probe a single IP address or hostname
+    session.setHandler('probe_device', async (data) => {
+      password = data.password || '';
+      manualDevices = await this.onPairProbeDevice(data.host, password);
+      return manualDevices.length;
+    });
+
+    session.setHandler('list_devices', async () => {
+      if (manualDevices) {
+        return manualDevices;
+      }
+      return this.onPairListDevices(password);
+    });
   }
 
-  async onPairListDevices() {
+  /**
+   * Repair a device whose Shelly was reconfigured to another profile
+   */
+  async onRepair(session, device) {
+    session.setHandler('repair', async () => device.repair());
+  }
+
+  async onPairListDevices(password) {
+    let devices;
     try {
-      const discovery = new DeviceDiscovery(this.homey);
-      const devices = await discovery.discoverDevices();
+      const discovery = new DeviceDiscovery(this.homey, { password });
+      devices = await discovery.discoverDevices();
 
       //this.log('Discovered devices:', devices);
       //for (const dev of devices) {
 //        this.log(`Device found: ${dev.name} at ${dev.ip} with profile ${dev.profile}`);
       //}
+    } catch (err) {
+      this.error('Device discovery failed:', err);
+      return [];
+    }
+
+    // Protected devices without a valid password have no components to pair
+    const locked = devices.filter(dev => dev.needsPassword);
+    const unlocked = devices.filter(dev => !dev.needsPassword);
+    if (locked.length > 0) {
+      this.log('Password protected devices:', locked.map(dev => dev.name));
+      if (unlocked.length === 0) {
+        throw new Error(`${locked.map(dev => dev.name).join(', ')}: password protected, go back and enter the password`);
+      }
+    }
 
+    return unlocked.map(dev => this._toPairingDevice(dev, password));
+  }
 
-      return devices.map(dev => {
-        // Factory liefert passende Capabilities für Profil
-        const capabilities = DeviceFactory.getCapabilities ? DeviceFactory.getCapabilities(dev.profile) : [];
+  /**
+   * Query a device entered by the user and return its channels for list_devices
+   * @throws {Error} with a user readable message when the host is invalid or not a Shelly
+   */
+  async onPairProbeDevice(input, password) {
+    const discovery = new DeviceDiscovery(this.homey, { password });
 
-        this.log(`Device ${dev.name} has profile ${dev.profile} with capabilities`, capabilities);
+    try {
+      const host = DeviceDiscovery.normalizeHost(input);
+      const devices = await discovery.probeDevice(host);
+      if (devices[0]?.needsPassword) {
+        const err = new Error('Password required');
+        err.code = 'PASSWORD_REQUIRED';
+        throw err;
+      }
 
-        return {
-          name: dev.name,
-          data: { id: dev.id, ip: dev.ip },
-          settings: { ip: dev.ip, profile: dev.profile },
-          icon: dev.icon,
-          capabilities
-        };
-      });
+      if (devices.length === 0) {
+        throw new Error('No supported components found on this device');
+      }
 
+      return devices.map(dev => this._toPairingDevice(dev, password));
     } catch (err) {
-      this.error('Device discovery failed:', err);
-      return [];
+      this.error(`Probing ${input} failed:`, err.message);
+      throw new Error(PROBE_ERRORS[err.code] || err.message);
     }
   }
+
+  /**
+   * Turn a discovery entry into a device for the list_devices template
+   * @private
+   */
+  _toPairingDevice(dev, password) {
+    // Factory liefert passende Capabilities für den Kanaltyp
+    const capabilities = DeviceFactory.getCapabilities ? DeviceFactory.getCapabilities(dev.component, dev) : [];
+
+    this.log(`Device ${dev.name} has profile ${dev.profile} and type ${dev.component} with capabilities`, capabilities);
+
+    return {
+      name: dev.name,
+      data: { id: dev.id, ip: dev.ip },
+      settings: { ip: dev.ip, profile: dev.profile, password: dev.auth ? password : '' },
+      store: { inputs: dev.inputs, sensors: dev.sensors, sleeping: dev.sleeping, channels: dev.channels },
+      icon: dev.icon,
+      capabilities
+    };
+  }
 };
@@ -0,0 +1,127 @@
+'use strict';
+
+const ShellyApi = require('./shellyApi');
+const DeviceDiscovery = require('./deviceDiscovery');
+
+/**
+ * Registry sharing one supervised ShellyApi connection per physical Shelly
+ * between all Homey devices (channels) paired from it
+ */
+class ConnectionPool {
+  /**
+   * @param {Object} homey - The Homey instance, used to search moved devices
+   */
+  constructor(homey) {
+    this.homey = homey;
+    this.connections = new Map();  // { [shellyId or ip]: { api, refCount, lastLocate } }
+    this.RELOCATE_INTERVAL = 10 * 60 * 1000;  // at most one search per device every 10 minutes
+  }
+
+  /**
+   * Extract the Shelly id from a Homey device id
+   * e.g. "shellypro4pm-a8032ab12345_switch:1" -> "shellypro4pm-a8032ab12345"
+   * @param {string} deviceId - Homey device data id
+   * @returns {string}
+   */
+  static getShellyId(deviceId) {
+    return deviceId.split('_')[0];
+  }
+
+  /**
+   * Get the shared connection for a Shelly, creating it on first use
+   * @param {string} ip - The IP address of the Shelly device
+   * @param {string} [shellyId] - The Shelly id (MAC based), falls back to the IP as key
+   * @param {string} [password] - Password for devices with authentication enabled
+   * @param {Object} [options]
+   * @param {boolean} [options.sleeping=false] - Battery powered device, do not keep reconnecting
+   * @returns {ShellyApi}
+   */
+  acquire(ip, shellyId, password, options = {}) {
+    const key = shellyId || ip;
+    let entry = this.connections.get(key);
+
+    if (!entry) {
+      const api = new ShellyApi(ip, `homey-${key}`, {
+        autoReconnect: !options.sleeping,
+        httpFallback: !options.sleeping,
+        password
+      });
+      entry = { api, refCount: 0, lastLocate: 0 };
+      this.connections.set(key, entry);
+
+      if (shellyId) {
+        api.on('unreachable', () => {
+          this.relocate(shellyId, entry)
+            .catch(err => console.error(`[ConnectionPool] Searching ${shellyId} failed:`, err));
+        });
+      }
+    } else if (entry.api.ip !== ip) {
+      console.log(`[ConnectionPool] ${key} is already connected via ${entry.api.ip}, ignoring ${ip}`);
+    }
+
+    if (password && password !== entry.api.password) {
+      entry.api.setPassword(password);
+    }
+
+    entry.refCount++;
+    return entry.api;
+  }
+
+  /**
+   * Get the shared connection of a Shelly without acquiring it
+   * @param {string} shellyId - The Shelly id
+   * @returns {ShellyApi|null}
+   */
+  get(shellyId) {
+    const entry = this.connections.get(shellyId);
+    return entry ? entry.api : null;
+  }
+
+  /**
+   * Search a Shelly that stopped answering by its id and move the connection
+   * to its new address
+   * @private
+   */
+  async relocate(shellyId, entry) {
+    const now = Date.now();
+    if (entry.api.pushing || now - entry.lastLocate < this.RELOCATE_INTERVAL) {
+      // A device pushing to the inbound server is alive, just not reachable from Homey
+      return;
+    }
+    entry.lastLocate = now;
+
+    try {
+      console.log(`[ConnectionPool] ${shellyId} unreachable at ${entry.api.ip}, searching network`);
+      const discovery = new DeviceDiscovery(this.homey, { password: entry.api.password });
+      const ip = await discovery.locateDevice(shellyId);
+
+      if (!ip) {
+        console.log(`[ConnectionPool] ${shellyId} not found in network`);
+      } else if (ip !== entry.api.ip && this.connections.get(shellyId) === entry) {
+        console.log(`[ConnectionPool] ${shellyId} moved from ${entry.api.ip} to ${ip}`);
+        entry.api.setAddress(ip);
+      }
+    } catch (err) {
+      console.error(`[ConnectionPool] Searching ${shellyId} failed:`, err);
+    }
+  }
+
+  /**
+   * Release a connection handed out by acquire(), closing it with the last user
+   * @param {ShellyApi} api - The shared connection
+   */
+  release(api) {
+    for (const [key, entry] of this.connections) {
+      if (entry.api !== api) continue;
+
+      entry.refCount--;
+      if (entry.refCount <= 0) {
+        this.connections.delete(key);
+        api.disconnect();
+      }
+      return;
+    }
+  }
+}
+
+module.exports = ConnectionPool;
@@ -1,13 +1,25 @@
 'use strict';
 
+const { Address4 } = require('ip-address');
 const ShellyApi = require('./shellyApi');
+const MdnsDiscovery = require('./mdnsDiscovery');
+const SensorDevice = require('./devices/SensorDevice');
+
+// RFC 1123 hostname, e.g. "shellypro4pm-a8032ab12345.local"
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
 
 /**
  * Handles discovery of Shelly devices in the local network
  */
 class DeviceDiscovery {
-  constructor(homey) {
+  /**
+   * @param {Object} homey - The Homey instance
+   * @param {Object} [options]
+   * @param {string} [options.password] - Password tried on devices with authentication enabled
+   */
+  constructor(homey, options = {}) {
     this.homey = homey;
+    this.password = options.password || null;
     this.DISCOVERY_TIMEOUT = 30000;  // 30 seconds total discovery time
     this.SCAN_BATCH_SIZE = 20;       // Smaller batch size for reliability
     this.CONNECTION_TIMEOUT = 1500;   // 1.5 seconds per device timeout
@@ -15,43 +27,154 @@ class DeviceDiscovery {
 
   /**
    * Discover Shelly devices in the local network
+   * Uses mDNS first and only falls back to scanning the /24 network when it finds nothing
    * @returns {Promise<Array>} Array of discovered devices with their channels
    */
   async discoverDevices() {
     try {
-      const localAddress = await this.homey.cloud.getLocalAddress();
-      const baseIp = localAddress.split('.').slice(0, 3).join('.');
-      const ipRange = this._generateIpRange(baseIp);
       const discoveredDevices = [];
 
-      console.log('Starting network scan on network:', baseIp);
-      
-      // Create a controller for the discovery process
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => {
-        controller.abort();
-      }, this.DISCOVERY_TIMEOUT);
+      await this._discoverViaMdns(discoveredDevices);
 
-      try {
-        await this._scanNetworkInBatches(ipRange, discoveredDevices, controller.signal);
-        clearTimeout(timeoutId);
-        console.log('Network scan complete, found:', discoveredDevices.length, 'devices');
-      } catch (err) {
-        clearTimeout(timeoutId);
-        if (err.name === 'AbortError') {
-          console.log('Network scan partially complete, found:', discoveredDevices.length, 'devices');
-        } else {
-          throw err;
-        }
+      if (discoveredDevices.length === 0) {
+        console.log('mDNS found no devices, falling back to network scan');
+        await this._scanNetwork(discoveredDevices);
       }
 
-      return discoveredDevices;
+      // A Shelly can answer on several interfaces, keep one address per Shelly id
+      return this._deduplicateDevices(discoveredDevices);
     } catch (err) {
       console.error('Discovery failed:', err);
       return [];
     }
   }
 
+  /**
+   * Clean up a user entered address ("http://192.168.1.20/" -> "192.168.1.20")
+   * @param {string} input - IP address or hostname, optionally with scheme, port or path
+   * @returns {string} The host (and port) to connect to
+   * @throws {Error} with code INVALID_HOST when the input is no IPv4 address or hostname
+   */
+  static normalizeHost(input) {
+    const host = String(input || '')
+      .trim()
+      .replace(/^[a-z]+:\/\//i, '')
+      .split('/')[0];
+    const [name, port] = host.split(':');
+    const isIp = /^[\d.]+$/.test(name);
+
+    const validName = isIp ? Address4.isValid(name) : HOSTNAME_PATTERN.test(name);
+    const validPort = port === undefined || /^\d{1,5}$/.test(port);
+
+    if (!validName || !validPort) {
+      const err = new Error(`Invalid IP address or hostname: ${input}`);
+      err.code = 'INVALID_HOST';
+      throw err;
+    }
+
+    return host;
+  }
+
+  /**
+   * Query a single device by IP address or hostname
+   * @param {string} host - IP address or hostname of the device
+   * @returns {Promise<Array>} Array of device entries for the channels of the device
+   */
+  async probeDevice(host) {
+    const api = new ShellyApi(host, undefined, { password: this.password });
+    const devices = [];
+
+    try {
+      await this._queryDevice(api, host, devices);
+    } finally {
+      api.disconnect();
+    }
+
+    return devices;
+  }
+
+  /**
+   * Find the current address of a known Shelly, e.g. after its DHCP lease changed
+   * @param {string} shellyId - The Shelly id (e.g. "shellypro4pm-a8032ab12345")
+   * @returns {Promise<string|null>} The IP address or null if the device was not found
+   */
+  async locateDevice(shellyId) {
+    const announced = await new MdnsDiscovery().browse();
+    const match = announced.find(dev => dev.id === shellyId);
+    if (match) {
+      return match.ip;
+    }
+
+    const devices = [];
+    await this._scanNetwork(devices);
+    const found = devices.find(dev => dev.shellyId === shellyId);
+
+    return found ? found.ip : null;
+  }
+
+  /**
+   * Browse mDNS for Shelly services and query every announced device
+   * @private
+   */
+  async _discoverViaMdns(discoveredDevices) {
+    const announced = await new MdnsDiscovery().browse();
+    console.log('mDNS discovery found:', announced.map(dev => `${dev.id}@${dev.ip}`));
+
+    await Promise.allSettled(announced.map(dev => this._tryDevice(dev.ip, discoveredDevices)));
+  }
+
+  /**
+   * Scan all addresses of the Homey's /24 network
+   * @private
+   */
+  async _scanNetwork(discoveredDevices) {
+    const localAddress = await this.homey.cloud.getLocalAddress();
+    const baseIp = localAddress.split('.').slice(0, 3).join('.');
+    const ipRange = this._generateIpRange(baseIp);
+
+    console.log('Starting network scan on network:', baseIp);
+
+    // Create a controller for the discovery process
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+      controller.abort();
+    }, this.DISCOVERY_TIMEOUT);
+
+    try {
+      await this._scanNetworkInBatches(ipRange, discoveredDevices, controller.signal);
+      clearTimeout(timeoutId);
+      console.log('Network scan complete, found:', discoveredDevices.length, 'devices');
+    } catch (err) {
+      clearTimeout(timeoutId);
+      if (err.name === 'AbortError') {
+        console.log('Network scan partially complete, found:', discoveredDevices.length, 'devices');
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Keep only the entries of the first address each Shelly id was found at
+   * (devices may answer on several interfaces or be reported twice)
+   * @private
+   */
+  _deduplicateDevices(devices) {
+    const shellyIps = new Map();
+    const seen = new Set();
+
+    return devices.filter(dev => {
+      if (!shellyIps.has(dev.shellyId)) {
+        shellyIps.set(dev.shellyId, dev.ip);
+      }
+      if (shellyIps.get(dev.shellyId) !== dev.ip || seen.has(dev.id)) {
+        return false;
+      }
+      seen.add(dev.id);
+      return true;
+    });
+  }
+
   /**
    * Generate list of IPs to scan based on network base IP
    * @private
@@ -111,7 +234,7 @@ class DeviceDiscovery {
    */
   _tryDevice(ip, devices) {
     return new Promise(resolve => {
-      const api = new ShellyApi(ip);
+      const api = new ShellyApi(ip, undefined, { password: this.password });
       
       // Set up connection timeout
       const timeoutId = setTimeout(() => {
@@ -125,10 +248,12 @@ class DeviceDiscovery {
       this._queryDevice(api, ip, devices)
         .then(() => {
           clearTimeout(timeoutId);
+          api.disconnect();
           resolve(true);
         })
         .catch(err => {
           clearTimeout(timeoutId);
+          api.disconnect();
           if (this.homey.app.debug) {
             console.debug(`Device discovery: skipping ${ip} (${err.code || 'unknown error'})`);
           }
@@ -152,7 +277,18 @@ class DeviceDiscovery {
       });
 
       // Only get status if device info was retrieved successfully
-      const status = await api.getStatus();
+      let status;
+      try {
+        status = await api.getStatus();
+      } catch (err) {
+        if (err.code !== 'AUTH_REQUIRED' && err.code !== 'AUTH_FAILED') {
+          throw err;
+        }
+        // Protected device without (correct) password: list it instead of dropping it
+        devices.push(this._createProtectedDeviceEntry(info, ip));
+        console.log(`Found password protected device: ${info.id} (${err.code})`);
+        return;
+      }
 
       //console.log(`Found Shelly device at: ${ip}\ninfo=${JSON.stringify(info)}\nstatus=${JSON.stringify(status)}`);
       
@@ -177,8 +313,12 @@ class DeviceDiscovery {
    */
   _parseComponents(status, info) {
     const deviceConfig = {
-      covers: {},  // { [id]: Object }
-      switches: {} // { [id]: Object }
+      covers: {},   // { [id]: Object }
+      switches: {}, // { [id]: Object }
+      lights: {},   // { [id]: Object }, light, rgb and rgbw channels keyed by "component:id"
+      sensors: {},  // { [id]: string[] }, sensor components sharing an id
+      meters: {},   // { [id]: Object }, em and em1 meters keyed by "component:id"
+      inputs: {}    // { [id]: Object }
     };
 
     //console.log('----------------------------------------------------------------------');
@@ -197,6 +337,19 @@ class DeviceDiscovery {
       } else if (info.profile !== 'cover' && component === 'switch') {
         // For non-cover profile, collect switch components
         deviceConfig.switches[numId] = value;
+      } else if (component === 'light' || component === 'rgb' || component === 'rgbw') {
+        // Dimmer and color channels only exist in the matching profile
+        deviceConfig.lights[key] = value;
+      } else if (SensorDevice.SENSOR_COMPONENTS.includes(component)) {
+        // e.g. temperature:0 + humidity:0 of a Plus H&T or temperature:100 of the Plus Add-on
+        deviceConfig.sensors[numId] = deviceConfig.sensors[numId] || [];
+        deviceConfig.sensors[numId].push(component);
+      } else if (component === 'em' || component === 'em1') {
+        // Pro 3EM (em:0, or em1:0-2 in monophase profile) and Pro EM (em1:0-1)
+        deviceConfig.meters[key] = value;
+      } else if (component === 'input') {
+        // Inputs are attached to the channel they are wired to
+        deviceConfig.inputs[numId] = value;
       }
     }
 
@@ -215,14 +368,60 @@ class DeviceDiscovery {
     if (info.profile === 'cover') {
       // For cover profile, create one device per pair of switches
       for (const coverId in deviceConfig.covers) {
-        devices.push(this._createDeviceEntry('cover', parseInt(coverId), info, ip));
+        const entry = this._createDeviceEntry('cover', parseInt(coverId), info, ip);
+        entry.inputs = this._getChannelInputs('cover', entry.channel, deviceConfig);
+        devices.push(entry);
       }
     } else {
       // For switch profile, create one device per switch
       for (const switchId in deviceConfig.switches) {
-        devices.push(this._createDeviceEntry('switch', parseInt(switchId), info, ip));
+        const entry = this._createDeviceEntry('switch', parseInt(switchId), info, ip);
+        entry.inputs = this._getChannelInputs('switch', entry.channel, deviceConfig);
+        devices.push(entry);
+      }
+
+      // Multi-channel units can also be added as a single device with all channels
+      const switchIds = Object.keys(deviceConfig.switches).map(id => parseInt(id));
+      if (switchIds.length > 1) {
+        const entry = this._createDeviceEntry('multiswitch', 0, info, ip);
+        entry.channels = switchIds;
+        entry.inputs = switchIds.flatMap(id => this._getChannelInputs('switch', id, deviceConfig));
+        devices.push(entry);
+      }
+
+      // One device per light channel
+      for (const key in deviceConfig.lights) {
+        const [component, id] = key.split(':');
+        const entry = this._createDeviceEntry(component, parseInt(id), info, ip);
+        entry.inputs = this._getChannelInputs(component, entry.channel, deviceConfig);
+        devices.push(entry);
       }
     }
+
+    // One device per energy meter, independent of the profile
+    for (const key in deviceConfig.meters) {
+      const [component, id] = key.split(':');
+      devices.push(this._createDeviceEntry(component, parseInt(id), info, ip));
+    }
+
+    // One device per sensor id, in every profile (Plus Add-on peripherals)
+    for (const sensorId in deviceConfig.sensors) {
+      const entry = this._createDeviceEntry('sensor', parseInt(sensorId), info, ip);
+      entry.sensors = deviceConfig.sensors[sensorId];
+      // Battery powered devices sleep and push their updates to Homey
+      entry.sleeping = entry.sensors.includes('devicepower');
+      devices.push(entry);
+    }
+  }
+
+  /**
+   * Get the ids of the inputs wired to a channel
+   * switch:N and light:N use input:N, cover:N uses the input pair input:2N and input:2N+1
+   * @private
+   */
+  _getChannelInputs(component, channel, deviceConfig) {
+    const candidates = component === 'cover' ? [channel * 2, channel * 2 + 1] : [channel];
+    return candidates.filter(id => deviceConfig.inputs[id] !== undefined);
   }
 
   /**
@@ -233,11 +432,13 @@ class DeviceDiscovery {
     var entry = {
       id: `${info.id}_${component}:${channel}`,
       deviceId: `${info.id}_${component}:${channel}`,
+      shellyId: info.id,
       component,
       channel,
       name: this._formatDeviceName(info.app, component, channel, ip),
       ip,
       profile: info.profile,
+      auth: info.auth_en === true,
       icon: info.app === "Pro3" ? '/images/icon_pro3.svg' : '/images/icon.svg'
     };
 
@@ -246,6 +447,24 @@ class DeviceDiscovery {
     return entry;
   }
 
+  /**
+   * Create an entry for a device whose components cannot be read without password
+   * Only names the Shelly, it has no component to pair. The driver asks for the
+   * password in the pairing views instead, the channels are listed once it is known
+   * @private
+   */
+  _createProtectedDeviceEntry(info, ip) {
+    return {
+      id: info.id,
+      shellyId: info.id,
+      name: `Shelly ${info.app} (${ip})`,
+      ip,
+      profile: info.profile,
+      auth: true,
+      needsPassword: true
+    };
+  }
+
   /**
    * Format a human-readable device name
    * @private
@@ -256,7 +475,15 @@ class DeviceDiscovery {
     // For inputs and switches when not in cover mode, add the component type and number
     switch (component) {
       case 'cover':
+      case 'em':
         return baseName;
+      case 'em1':
+        return `${baseName} meter ${channel + 1}`;
+      case 'multiswitch':
+        return `${baseName} all channels`;
+      case 'sensor':
+        // Plus Add-on peripherals start at id 100
+        return channel >= 100 ? `${baseName} add-on sensor ${channel - 99}` : baseName;
       case 'switch':
       case 'input':
         return `${baseName} ${component} ${channel + 1}`;
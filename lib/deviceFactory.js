@@ -1,36 +1,161 @@
+const BaseDevice = require('./devices/BaseDevice');
 const CoverDevice = require('./devices/CoverDevice');
+const LightDevice = require('./devices/LightDevice');
+const MeterDevice = require('./devices/MeterDevice');
+const MultiSwitchDevice = require('./devices/MultiSwitchDevice');
+const RgbwDevice = require('./devices/RgbwDevice');
+const SensorDevice = require('./devices/SensorDevice');
 const SwitchDevice = require('./devices/SwitchDevice');
 
+// Components that are paired as a device of their own
+const DEVICE_TYPES = ["cover", "switch", "multiswitch", "light", "rgb", "rgbw", "sensor", "em", "em1"];
+
 class DeviceFactory {
   static async create(device, api) {
-    const profile = device.getSetting("profile") || "switch";
+    const type = DeviceFactory.getType(device);
 
-    switch (profile) {
+    switch (type) {
       case "cover":
         return new CoverDevice(device, api);
       case "switch":
         return new SwitchDevice(device, api);
+      case "multiswitch":
+        return new MultiSwitchDevice(device, api);
+      case "light":
+        return new LightDevice(device, api);
+      case "rgb":
+      case "rgbw":
+        return new RgbwDevice(device, api);
+      case "sensor":
+        return new SensorDevice(device, api);
+      case "em":
+      case "em1":
+        return new MeterDevice(device, api);
       default:
-        device.error(`Unknown profile: ${profile}, using switch as fallback`);
+        device.error(`Unknown profile: ${type}, using switch as fallback`);
         return new SwitchDevice(device, api);
     }
   }
 
-  static getCapabilities(profile) {
+  /**
+   * Get the device type from the paired component, falling back to the profile setting
+   * e.g. "shellyplusrgbwpm-a8032ab12345_rgbw:0" -> "rgbw"
+   * @param {Object} device - The Homey device
+   * @returns {string}
+   */
+  static getType(device) {
+    const { component } = BaseDevice.getBinding(device);
+    if (DEVICE_TYPES.includes(component)) {
+      return component;
+    }
+    return device.getSetting("profile") || "switch";
+  }
+
+  /**
+   * Get the Homey device class for a type, null keeps the class of the driver
+   * @param {string} type - Device type
+   * @returns {string|null}
+   */
+  static getClass(type) {
+    switch (type) {
+      case "light":
+      case "rgb":
+      case "rgbw":
+        return "light";
+      case "sensor":
+      case "em":
+      case "em1":
+        return "sensor";
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the Homey energy configuration of a device type
+   * @param {string} type - Device type
+   * @returns {Object|null}
+   */
+  static getEnergy(type) {
+    switch (type) {
+      case "em":
+      case "em1":
+        return MeterDevice.getEnergy();
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the capabilities of a device type
+   * @param {string} profile - Device type (or profile of devices paired before types existed)
+   * @param {Object} [options]
+   * @param {string[]} [options.sensors] - Sensor components of a sensor device
+   * @param {number[]} [options.channels] - Switch ids of a combined multi-channel device
+   * @returns {string[]}
+   */
+  static getCapabilities(profile, { sensors, channels } = {}) {
     switch (profile) {
+      case "sensor":
+        return SensorDevice.getCapabilities(sensors);
+      case "multiswitch":
+        return MultiSwitchDevice.getCapabilities(channels);
+      case "em":
+      case "em1":
+        return MeterDevice.getCapabilities(profile);
       case "cover":
         return [
           "windowcoverings_set",
           "windowcoverings_state",
+          "cover_state",
+          "alarm_problem",
+          "button.calibrate",
+          "measure_power",
+          "meter_power",
+          "measure_current",
+          "measure_voltage"
+        ];
+      case "light":
+        return [
+          "onoff",
+          "dim",
+          "measure_power",
+          "meter_power",
+          "measure_current",
+          "measure_voltage"
+        ];
+      case "rgb":
+        return [
+          "onoff",
+          "dim",
+          "light_hue",
+          "light_saturation",
+          "measure_power",
+          "meter_power",
+          "measure_current",
+          "measure_voltage"
+        ];
+      case "rgbw":
+        return [
+          "onoff",
+          "dim",
+          "light_hue",
+          "light_saturation",
+          "dim.white",
           "measure_power",
-          "measure_current"
+          "meter_power",
+          "measure_current",
+          "measure_voltage"
         ];
       case "switch":
       default:
         return [
           "onoff",
           "measure_power",
-          "measure_current"
+          "meter_power",
+          "measure_current",
+          "measure_voltage",
+          "alarm_heat"
         ];
     }
   }
@@ -1,29 +1,113 @@
 "use strict";
 
+// NotifyEvent events of input components with a flow trigger "input_<event>"
+const INPUT_EVENTS = ['single_push', 'double_push', 'triple_push', 'long_push', 'btn_down', 'btn_up'];
+
+// Release stages of Shelly.Update
+const FIRMWARE_STAGES = ['stable', 'beta'];
+
+// An uptime drop within this time after Shelly.Reboot was requested is not reported as unexpected
+const REBOOT_GRACE_PERIOD = 5 * 60 * 1000;  // 5 minutes
+
+// Days of the schedule flow cards -> weekday field of a Shelly timespec
+const SCHEDULE_DAYS = {
+  everyday: "*", weekdays: "MON-FRI", weekend: "SAT,SUN",
+  mon: "MON", tue: "TUE", wed: "WED", thu: "THU", fri: "FRI", sat: "SAT", sun: "SUN"
+};
+
+// Ids of the component config settings in driver.compose.json, e.g. "switch_in_mode"
+const CONFIG_SETTING_PATTERN = /^(switch|cover)_/;
+
 class BaseDevice {
   constructor(device, api) {
     this.device = device;
     this.api = api;
+
+    // Get the channel number from the device ID (e.g., "abc123_switch:1" -> 1)
+    const { channel } = BaseDevice.getBinding(device);
+    this.channelNumber = Number.isNaN(channel) ? 0 : channel;
+
+    this.onNotification = this.dispatchNotification.bind(this);
+    this.onConnected = this.handleConnected.bind(this);
+    this.onDisconnected = this.handleDisconnected.bind(this);
+    this.onAddressChanged = this.handleAddressChanged.bind(this);
+    this.onPushing = this.handlePushing.bind(this);
+
+    // Set while a firmware update is installed, the following disconnect is the expected reboot
+    this.updatingFirmware = false;
+    // Set while another Shelly answers on the address of this one
+    this.wrongShelly = false;
+    this.lastUptime = null;
+    this.wifi = {};
+  }
+
+  /**
+   * Component and channel of the Shelly a Homey device is bound to
+   * Taken from the device id, which can't change, unless a repair after a profile
+   * change stored a new binding
+   * @param {Homey.Device} device
+   * @returns {{component: string, channel: number}}
+   */
+  static getBinding(device) {
+    const binding = device.getStoreValue("binding");
+    if (binding) {
+      return binding;
+    }
+
+    const [component, channel] = device.getData().id.split('_').pop().split(':');
+    return { component, channel: parseInt(channel) };
   }
 
   async init() {
     this.device.log(`Initializing ${this.constructor.name} for ${this.device.getName()}`);
 
+    // Follow the supervised connection so availability reflects the socket state
+    this.api.addNotificationHandler(this.onNotification);
+    this.api.on('connected', this.onConnected);
+    this.api.on('disconnected', this.onDisconnected);
+    this.api.on('address-changed', this.onAddressChanged);
+    this.api.on('pushing', this.onPushing);
+
+    // Another channel of the same Shelly may have opened the shared connection already
+    const joined = this.api.isConnected;
+
     try {
-      // Connect WebSocket and set up notification handler
+      // Connect WebSocket, handleConnected checks the profile and makes the device available
       await this.api.connect();
-      this.api.setNotificationHandler(this.handleNotification.bind(this));
-      //this.device.log(`WebSocket connected to Shelly @ ${this.api.ip}`);
+    } catch (err) {
+      // The API keeps reconnecting in the background and emits 'connected' once it succeeds
+      this.device.error(`Shelly @ ${this.api.ip} not reachable, retrying in background:`, err.message);
+      if (!this.api.pushing) {
+        await this.device.setUnavailable(`Shelly @ ${this.api.ip} not reachable`).catch(this.device.error);
+      }
+    }
 
-      // Set device as available
-      await this.device.setAvailable();
+    // Initialize device-specific capabilities
+    await this.initializeCapabilities();
+
+    // Joining an open connection emits no 'connected', run the same checks and resync here
+    if (joined) {
+      await this.handleConnected(null);
+    }
 
-      // Initialize device-specific capabilities
-      await this.initializeCapabilities();
+    // Maintenance action
+    await this.ensureCapability("button.reboot");
+    this.device.registerCapabilityListener("button.reboot", async () => {
+      this.device.log("Restarting the Shelly");
+      await this.api.reboot();
+      return true;
+    });
 
+    try {
+      await this.syncConfig();
+    } catch (err) {
+      this.device.error("Failed to read Shelly configuration:", err.message);
+    }
+
+    try {
+      await this.syncSchedules();
     } catch (err) {
-      this.device.error("Error during initialization:", err);
-      throw err;
+      this.device.error("Failed to read Shelly schedules:", err.message);
     }
   }
 
@@ -35,6 +119,318 @@ class BaseDevice {
     throw new Error("initializeCapabilities must be implemented by child class");
   }
 
+  /**
+   * Point the outbound WebSocket of the Shelly at the inbound server of the app
+   * Updates of sleeping devices and devices Homey can't connect to then still reach us
+   * The Shelly applies the config on boot, so it is restarted when it asks for that
+   * @returns {Promise<boolean>} true if the device was restarted to apply it
+   */
+  async configureOutboundWebSocket() {
+    const server = await this.device.homey.app.inboundServer.getUrl();
+    const config = await this.api.getWsConfig();
+
+    if (config.enable && config.server === server) {
+      return false;
+    }
+
+    this.device.log(`Configuring outbound WebSocket to ${server}`);
+    const result = await this.api.setWsConfig({ enable: true, server, ssl_ca: "*" });
+    if (result?.restart_required) {
+      // Recorded by reboot(), so the device_rebooted trigger doesn't fire for it
+      this.device.log("Restarting the Shelly to activate the outbound WebSocket");
+      await this.api.reboot();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Homey settings backed by the config of the Shelly component
+   * Maps the setting id to the path in the config and the values the setting accepts,
+   * e.g. { switch_in_mode: { path: "in_mode", values: ["follow", ...] } } or
+   * { switch_power_limit: { path: "power_limit", min: 0, max: 4480 } }
+   * To be overridden by child classes with configurable components
+   * @returns {Object<string, {path: string, values?: string[], min?: number, max?: number}>}
+   */
+  getConfigSettings() {
+    return {};
+  }
+
+  /**
+   * Read the component config, to be implemented by child classes with config settings
+   * @returns {Promise<Object>}
+   */
+  async getConfig() {
+    return {};
+  }
+
+  /**
+   * Write a partial component config, to be implemented by child classes with config settings
+   * @param {Object} config - Changed config values
+   * @returns {Promise<Object>} SetConfig result
+   */
+  async setConfig(config) {
+    return {};
+  }
+
+  /**
+   * Check new settings before they are sent to the Shelly
+   * @param {Object} settings - All settings including the changes
+   * @throws {Error} User readable message, Homey then keeps the old values
+   */
+  validateConfig(settings) {
+  }
+
+  /**
+   * Copy the Shelly-side configuration into the Homey settings
+   * Changes made in the Shelly web UI show up after the next start of the app
+   */
+  async syncConfig() {
+    const mapping = this.getConfigSettings();
+    if (Object.keys(mapping).length === 0) {
+      return;
+    }
+
+    const config = await this.getConfig();
+    const settings = {};
+    for (const [key, setting] of Object.entries(mapping)) {
+      const value = setting.path.split('.').reduce((obj, part) => obj?.[part], config);
+      if (value === undefined || value === null) {
+        continue;
+      }
+      // Homey rejects all settings if one is outside the dropdown or range
+      const valid = BaseDevice.fitConfigValue(setting, value);
+      if (valid === undefined) {
+        this.device.log(`Skipping setting ${key}, ${JSON.stringify(value)} is not supported`);
+      } else {
+        settings[key] = valid;
+      }
+    }
+
+    await this.device.setSettings(settings);
+  }
+
+  /**
+   * Fit a config value into what the Homey setting accepts
+   * Numbers are clamped to the range, unknown dropdown values can't be shown
+   * @param {{values?: string[], min?: number, max?: number}} setting - Entry of getConfigSettings()
+   * @param {*} value - Value from the Shelly config
+   * @returns {*} The value to store, undefined if it doesn't fit
+   */
+  static fitConfigValue(setting, value) {
+    if (setting.values) {
+      return setting.values.includes(value) ? value : undefined;
+    }
+    if (typeof value === "number") {
+      return Math.min(Math.max(value, setting.min ?? value), setting.max ?? value);
+    }
+    return value;
+  }
+
+  /**
+   * Push changed config settings to the Shelly
+   * @param {Object} newSettings - All settings including the changes
+   * @param {string[]} changedKeys - Ids of the changed settings
+   * @throws {Error} If the settings are invalid or the Shelly rejects them
+   */
+  async writeConfig(newSettings, changedKeys) {
+    const mapping = this.getConfigSettings();
+
+    // The config groups are shown on every device, but only apply to their own component
+    const foreign = changedKeys.find(key => CONFIG_SETTING_PATTERN.test(key) && !mapping[key]);
+    if (foreign) {
+      throw new Error(`The ${foreign.split('_')[0]} settings don't apply to this device`);
+    }
+
+    const keys = changedKeys.filter(key => mapping[key]);
+    if (keys.length === 0) {
+      return;
+    }
+
+    this.validateConfig(newSettings);
+
+    // Build the nested partial config, e.g. { obstruction_detection: { enable: true } }
+    const config = {};
+    for (const key of keys) {
+      const parts = mapping[key].path.split('.');
+      const last = parts.pop();
+      const target = parts.reduce((obj, part) => (obj[part] = obj[part] || {}), config);
+      target[last] = newSettings[key];
+    }
+
+    this.device.log("Writing Shelly configuration:", JSON.stringify(config));
+    try {
+      const result = await this.setConfig(config);
+      if (result?.restart_required) {
+        this.device.log("Configuration is applied after the next restart of the Shelly");
+      }
+    } catch (err) {
+      throw new Error(`The Shelly rejected the settings: ${err.rpcMessage || err.message}`);
+    }
+  }
+
+  /**
+   * Pass a notification to the system handling shared by all devices and to the
+   * device-specific handler
+   * @param {Object} data - Notification with updates and events
+   */
+  async dispatchNotification(data) {
+    if (this.wrongShelly) {
+      // Status of another Shelly, see checkIdentity()
+      return;
+    }
+    await this.handleSystemNotification(data);
+    await this.handleScriptEvents(data);
+    await this.handleNotification(data);
+  }
+
+  /**
+   * Convert the time and days of the schedule flow cards into a Shelly timespec
+   * @param {string} time - "HH:MM", "sunrise" or "sunset" with an optional offset, e.g. "sunset-30m"
+   * @param {string} days - Key of SCHEDULE_DAYS, e.g. "weekdays"
+   * @returns {string} Timespec, e.g. "0 30 7 * * MON-FRI" or "@sunset-30m * * *"
+   * @throws {Error} User readable message for invalid input
+   */
+  static createTimespec(time, days) {
+    const weekdays = SCHEDULE_DAYS[days];
+    if (!weekdays) {
+      throw new Error(`Unknown days ${days}`);
+    }
+
+    const value = String(time).replace(/\s+/g, "").toLowerCase();
+    const clock = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (clock && parseInt(clock[1]) < 24 && parseInt(clock[2]) < 60) {
+      return `0 ${parseInt(clock[2])} ${parseInt(clock[1])} * * ${weekdays}`;
+    }
+
+    const sun = /^(sunrise|sunset)([+-](?=\d)(?:\d+h)?(?:\d+m)?)?$/.exec(value);
+    if (sun) {
+      return `@${sun[1]}${sun[2] || ""} * * ${weekdays}`;
+    }
+
+    throw new Error("Enter the time as HH:MM, sunrise or sunset, optionally with an offset like sunset-30m");
+  }
+
+  /**
+   * Readable form of a timespec created by createTimespec, other timespecs are returned as they are
+   * @param {string} timespec - e.g. "0 30 7 * * MON-FRI"
+   * @returns {string} e.g. "07:30 MON-FRI"
+   */
+  static describeTimespec(timespec) {
+    const days = weekdays => (weekdays === "*" ? "every day" : weekdays);
+
+    const clock = /^0 (\d+) (\d+) \* \* (\S+)$/.exec(timespec);
+    if (clock) {
+      return `${clock[2].padStart(2, "0")}:${clock[1].padStart(2, "0")} ${days(clock[3])}`;
+    }
+
+    const sun = /^@(sunrise|sunset)(\S*) \* \* (\S+)$/.exec(timespec);
+    if (sun) {
+      return `${sun[1]}${sun[2]} ${days(sun[3])}`;
+    }
+
+    return timespec;
+  }
+
+  /**
+   * Whether the channel can be switched by schedules stored on the Shelly
+   * To be overridden by child classes implementing the schedule hooks below
+   * @returns {boolean}
+   */
+  supportsSchedules() {
+    return false;
+  }
+
+  /**
+   * RPC calls of a schedule job for this channel
+   * @param {*} value - Target state from the flow card, e.g. true for on or a position
+   * @returns {Object[]} Calls, e.g. [{ method: "Switch.Set", params: { id: 0, on: true } }]
+   */
+  getScheduleCalls(value) {
+    return [];
+  }
+
+  /**
+   * Readable action of a schedule call
+   * @param {Object} call - Call of a schedule job
+   * @returns {string|null} e.g. "on", null if the call doesn't act on this channel
+   */
+  describeScheduleCall(call) {
+    return null;
+  }
+
+  /**
+   * Schedule jobs of the Shelly acting on this channel
+   * @returns {Promise<Object[]>} Jobs with id, enable, timespec and calls
+   */
+  async getSchedules() {
+    const jobs = await this.api.listSchedules();
+    return jobs.filter(job => (job.calls || []).some(call => this.describeScheduleCall(call) !== null));
+  }
+
+  /**
+   * Readable summary of a schedule job, e.g. "07:30 MON-FRI: on"
+   * @param {Object} job - Schedule job
+   * @returns {string}
+   */
+  describeSchedule(job) {
+    const actions = new Set(job.calls.map(call => this.describeScheduleCall(call)).filter(action => action !== null));
+    return `${BaseDevice.describeTimespec(job.timespec)}: ${[...actions].join(", ")}${job.enable ? "" : " (disabled)"}`;
+  }
+
+  /**
+   * Show the schedules stored on the Shelly in the settings
+   * Schedules created in the Shelly web UI show up after the next start of the app
+   */
+  async syncSchedules() {
+    if (!this.supportsSchedules()) {
+      return;
+    }
+
+    const jobs = await this.getSchedules();
+    const schedules = jobs.map(job => this.describeSchedule(job)).join("; ");
+    await this.device.setSettings({ schedules: schedules || "None" });
+  }
+
+  /**
+   * Store a schedule on the Shelly, it keeps running when Homey is offline
+   * @param {string} time - "HH:MM", "sunrise" or "sunset" with an optional offset
+   * @param {string} days - Key of SCHEDULE_DAYS
+   * @param {*} value - Target state, see getScheduleCalls
+   * @returns {Promise<number>} Id of the schedule job
+   */
+  async addSchedule(time, days, value) {
+    if (!this.supportsSchedules()) {
+      throw new Error("Schedules are only available for switch, light and cover channels");
+    }
+
+    const timespec = BaseDevice.createTimespec(time, days);
+    const { id } = await this.api.createSchedule({ enable: true, timespec, calls: this.getScheduleCalls(value) });
+    this.device.log(`Created schedule ${id}: ${timespec}`);
+    await this.syncSchedules();
+    return id;
+  }
+
+  /**
+   * Enable or disable a schedule job
+   * @param {number} id - Job ID
+   * @param {boolean} enable
+   */
+  async setScheduleEnabled(id, enable) {
+    await this.api.updateSchedule(id, { enable });
+    await this.syncSchedules();
+  }
+
+  /**
+   * Delete a schedule job
+   * @param {number} id - Job ID
+   */
+  async removeSchedule(id) {
+    this.device.log(`Deleting schedule ${id}`);
+    await this.api.deleteSchedule(id);
+    await this.syncSchedules();
+  }
+
   /**
    * Handle notifications from the device
    * To be implemented by child classes
@@ -43,6 +439,524 @@ class BaseDevice {
     throw new Error("handleNotification must be implemented by child class");
   }
 
+  /**
+   * Follow firmware, uptime and Wi-Fi of the Shelly from the sys and wifi components
+   * Available updates are reported in the sys status, an installation as sys events:
+   * ota_begin, ota_progress (progress_percent), ota_success or ota_error, then the device reboots
+   * @param {Object} data - Notification with updates and events
+   */
+  async handleSystemNotification(data) {
+    const availableUpdates = data.updates.sys?.available_updates;
+    if (availableUpdates) {
+      await this.updateFirmwareInfo(availableUpdates);
+    }
+
+    if (typeof data.updates.sys?.uptime === "number") {
+      await this.updateUptime(data.updates.sys.uptime);
+    }
+
+    if (data.updates.wifi) {
+      await this.updateWifi(data.updates.wifi);
+    }
+
+    for (const event of data.events || []) {
+      if (event.component !== "sys") {
+        continue;
+      }
+
+      switch (event.event) {
+        case "ota_begin":
+        case "ota_progress":
+          this.updatingFirmware = true;
+          await this.device.setUnavailable(`Installing firmware update ${event.progress_percent || 0}%`)
+            .catch(this.device.error);
+          break;
+        case "ota_success":
+          this.device.log("Firmware update installed, waiting for the Shelly to restart");
+          this.updatingFirmware = true;
+          await this.device.setUnavailable("Firmware update installed, restarting...").catch(this.device.error);
+          break;
+        case "ota_error":
+          this.device.error("Firmware update failed:", event.msg);
+          this.updatingFirmware = false;
+          await this.device.setAvailable().catch(this.device.error);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Show the uptime in the settings and trigger a flow when it dropped without a requested restart
+   * @param {number} uptime - Seconds since the last start of the Shelly
+   */
+  async updateUptime(uptime) {
+    if (this.lastUptime !== null && uptime < this.lastUptime) {
+      const requested = Date.now() - (this.api.rebootRequestedAt || 0) < REBOOT_GRACE_PERIOD;
+      if (requested || this.updatingFirmware) {
+        this.device.log("Shelly restarted as requested");
+      } else {
+        this.device.error(`Shelly restarted unexpectedly after ${BaseDevice.formatUptime(this.lastUptime)}`);
+        await this.triggerFlow("device_rebooted", { uptime: this.lastUptime });
+      }
+    }
+    this.lastUptime = uptime;
+
+    await this.updateDiagnostics({ diag_uptime: BaseDevice.formatUptime(uptime) });
+  }
+
+  /**
+   * Show the Wi-Fi network and signal strength in the settings
+   * @param {Object} wifi - Status of the wifi component, notifications only contain the changed values
+   */
+  async updateWifi(wifi) {
+    this.wifi = { ...this.wifi, ...wifi };
+    if (typeof this.wifi.rssi !== "number") {
+      return;
+    }
+
+    await this.updateDiagnostics({ diag_wifi: `${this.wifi.ssid || "?"} (${this.wifi.rssi} dBm)` });
+  }
+
+  /**
+   * Write diagnostic label settings that changed
+   * @param {Object} values - Setting id -> value
+   */
+  async updateDiagnostics(values) {
+    const changed = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (this.device.getSetting(key) !== value) {
+        changed[key] = value;
+      }
+    }
+
+    if (Object.keys(changed).length > 0) {
+      await this.device.setSettings(changed).catch(this.device.error);
+    }
+  }
+
+  /**
+   * Readable uptime with a resolution of minutes, e.g. "2 d 5 h" or "3 h 12 min"
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatUptime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) {
+      return `${days} d ${hours % 24} h`;
+    }
+    if (hours > 0) {
+      return `${hours} h ${minutes % 60} min`;
+    }
+    return `${minutes} min`;
+  }
+
+  /**
+   * Show the available firmware in the settings and trigger the flow once per new version
+   * @param {Object} availableUpdates - Versions per stage, e.g. { stable: { version: "1.4.2" } }
+   */
+  async updateFirmwareInfo(availableUpdates) {
+    const available = FIRMWARE_STAGES
+      .filter(stage => availableUpdates[stage]?.version)
+      .map(stage => `${availableUpdates[stage].version} (${stage})`)
+      .join(", ");
+
+    await this.device.setSettings({ firmware_available: available || "Up to date" }).catch(this.device.error);
+
+    const version = availableUpdates.stable?.version;
+    if (version && version !== this.device.getStoreValue("firmware_notified")) {
+      this.device.log(`Firmware update ${version} available`);
+      await this.device.setStoreValue("firmware_notified", version).catch(this.device.error);
+      await this.triggerFlow("firmware_update_available", {
+        version,
+        current: this.device.getSetting("firmware_version") || ""
+      });
+    }
+  }
+
+  /**
+   * Read the installed and available firmware versions
+   * @param {Object} info - Shelly.GetDeviceInfo result
+   */
+  async checkFirmware(info) {
+    if (info.ver) {
+      await this.device.setSettings({ firmware_version: info.ver }).catch(this.device.error);
+    }
+    await this.updateFirmwareInfo(await this.api.checkForUpdate());
+  }
+
+  /**
+   * Install the latest firmware of a stage if the Shelly offers one
+   * Updates the whole Shelly, including the channels bound to other Homey devices
+   * @param {string} [stage] - "stable" or "beta"
+   * @returns {Promise<boolean>} false if the Shelly is already up to date
+   */
+  async updateFirmware(stage = "stable") {
+    if (!FIRMWARE_STAGES.includes(stage)) {
+      throw new Error(`Unknown firmware stage ${stage}`);
+    }
+
+    const availableUpdates = await this.api.checkForUpdate();
+    const version = availableUpdates[stage]?.version;
+    if (!version) {
+      this.device.log(`No ${stage} firmware update available`);
+      return false;
+    }
+
+    this.device.log(`Installing ${stage} firmware ${version}`);
+    await this.api.update(stage);
+    return true;
+  }
+
+  /**
+   * Trigger flows for events emitted by scripts on the Shelly with Shelly.emitEvent(name, data)
+   * They arrive as NotifyEvent, e.g. { component: "script:1", id: 1, event: "leak", data: {...} }
+   * @param {Object} data - Notification with updates and events
+   */
+  async handleScriptEvents(data) {
+    for (const event of data.events || []) {
+      const [component, id] = (event.component || "").split(':');
+      if (component !== "script" || !event.event) {
+        continue;
+      }
+
+      this.device.log(`Script ${id}: ${event.event}`);
+      await this.triggerFlow("script_event", {
+        script: parseInt(id),
+        event: event.event,
+        data: event.data === undefined ? "" : JSON.stringify(event.data)
+      });
+    }
+  }
+
+  /**
+   * Create or replace a script on the Shelly and run it
+   * A running script is stopped while its code is replaced
+   * @param {string} name - Script name, an existing script with this name is replaced
+   * @param {string} code - The complete code
+   * @returns {Promise<number>} Id of the script
+   */
+  async uploadScript(name, code) {
+    const scripts = await this.api.listScripts();
+    let script = scripts.find(s => s.name === name);
+
+    if (!script) {
+      this.device.log(`Creating script ${name}`);
+      script = await this.api.createScript(name);
+    } else if (script.running) {
+      await this.api.stopScript(script.id);
+    }
+
+    this.device.log(`Uploading ${code.length} characters to script ${name} (${script.id})`);
+    await this.api.uploadScriptCode(script.id, code);
+    await this.api.startScript(script.id);
+    return script.id;
+  }
+
+  /**
+   * Ids of the inputs wired to this channel when not known from pairing
+   * To be overridden by child classes
+   * @returns {number[]}
+   */
+  getDefaultInputIds() {
+    return [];
+  }
+
+  /**
+   * Ids of the inputs wired to this channel
+   * @returns {number[]}
+   */
+  getInputIds() {
+    return this.device.getStoreValue("inputs") || this.getDefaultInputIds();
+  }
+
+  /**
+   * Reflect input states and trigger flows for input events (e.g. wall switches in detached mode)
+   * @param {Object} data - Notification with updates and events
+   */
+  async handleInputNotification(data) {
+    const inputIds = this.getInputIds();
+
+    for (const id of inputIds) {
+      const input = data.updates.input?.[id];
+
+      // Inputs of type "switch" report their state, "button" inputs report null
+      if (typeof input?.state === "boolean") {
+        const capability = `input_state.${id}`;
+        if (!this.device.hasCapability(capability)) {
+          await this.ensureCapability(capability);
+          await this.device.setCapabilityOptions(capability, { title: { en: `Input ${id}`, de: `Eingang ${id}` } })
+            .catch(this.device.error);
+        }
+        await this.setCapabilityValueSafe(capability, input.state);
+      }
+    }
+
+    for (const event of data.events || []) {
+      const [component, id] = (event.component || "").split(':');
+      if (component !== "input" || !inputIds.includes(parseInt(id)) || !INPUT_EVENTS.includes(event.event)) {
+        continue;
+      }
+
+      this.device.log(`Input ${id}: ${event.event}`);
+      await this.triggerFlow(`input_${event.event}`, { input: parseInt(id) });
+    }
+  }
+
+  /**
+   * Mark the device available again and resync all capabilities after a (re)connect
+   * Also run by init for channels joining an open connection, so they get the
+   * profile check, the firmware versions and the diagnostics without a reconnect
+   * @param {Object|null} status - Shelly.GetStatus result sent while connecting
+   */
+  async handleConnected(status) {
+    this.device.log(`Connected to Shelly @ ${this.api.ip}`);
+
+    let info;
+    try {
+      info = await this.api.getDeviceInfo();
+      if (!(await this.checkIdentity(info)) || !(await this.checkProfile(info))) {
+        return;
+      }
+      await this.device.setAvailable();
+      await this.syncStatus(status);
+    } catch (err) {
+      if (err.code === 'AUTH_REQUIRED' || err.code === 'AUTH_FAILED') {
+        await this.device.setUnavailable(err.message).catch(this.device.error);
+      } else {
+        this.device.error("Failed to resync after reconnect:", err);
+      }
+      return;
+    } finally {
+      // Kept until the resync has seen the uptime drop of the update
+      if (this.updatingFirmware) {
+        this.device.log("Shelly is back after the firmware update");
+        this.updatingFirmware = false;
+      }
+    }
+
+    // Devices without internet access can't check for updates, that doesn't affect the connection
+    try {
+      await this.checkFirmware(info);
+    } catch (err) {
+      this.device.error("Failed to check for firmware updates:", err.message);
+    }
+  }
+
+  /**
+   * Make sure the Shelly at the address is the one the device was paired with
+   * After a DHCP shuffle another Shelly can answer on the old address, the pool then
+   * searches the network for the right one like for an unreachable device
+   * @param {Object} info - Shelly.GetDeviceInfo result
+   * @returns {Promise<boolean>} false if another Shelly answered, the device is unavailable then
+   */
+  async checkIdentity(info) {
+    const expected = this.device.getData().id.split('_')[0];
+    this.wrongShelly = Boolean(info.id) && info.id.toLowerCase() !== expected.toLowerCase();
+    if (!this.wrongShelly) {
+      return true;
+    }
+
+    this.device.error(`Expected ${expected} @ ${this.api.ip}, but ${info.id} answered`);
+    await this.device.setUnavailable(
+      `Another Shelly (${info.id}) answers @ ${this.api.ip}, searching the network...`
+    ).catch(this.device.error);
+    this.api.emit('unreachable');
+    return false;
+  }
+
+  /**
+   * Compare the profile of the Shelly with the one the device was paired with
+   * A switch device can't control a Shelly that was reconfigured as cover and vice versa
+   * @param {Object} info - Shelly.GetDeviceInfo result
+   * @returns {Promise<boolean>} false if the profile changed, the device is unavailable then
+   */
+  async checkProfile(info) {
+    const expected = this.device.getSetting("profile");
+    const { profile } = info;
+
+    if (!expected || !profile || profile === expected) {
+      return true;
+    }
+
+    this.device.error(`Profile changed from ${expected} to ${profile}`);
+    await this.device.setUnavailable(
+      `The Shelly was reconfigured from ${expected} to ${profile}, repair the device to continue`
+    ).catch(this.device.error);
+    return false;
+  }
+
+  /**
+   * Mark the device unavailable while the connection is down
+   * A device that keeps pushing to the inbound server stays available
+   */
+  async handleDisconnected() {
+    if (this.api.pushing) {
+      return;
+    }
+
+    let message = `Connection to Shelly @ ${this.api.ip} lost, reconnecting...`;
+    if (this.updatingFirmware) {
+      message = `Shelly @ ${this.api.ip} is restarting after the firmware update...`;
+    } else if (Date.now() - (this.api.rebootRequestedAt || 0) < REBOOT_GRACE_PERIOD) {
+      message = `Shelly @ ${this.api.ip} is restarting...`;
+    }
+    await this.device.setUnavailable(message).catch(this.device.error);
+  }
+
+  /**
+   * Follow the outbound WebSocket of a Shelly Homey can't connect to itself,
+   * e.g. in another subnet, its pushed frames keep the capabilities up to date
+   * @param {boolean} pushing - Whether the Shelly pushes to the inbound server
+   */
+  async handlePushing(pushing) {
+    if (this.api.isConnected) {
+      return;
+    }
+
+    if (pushing) {
+      this.device.log("Receiving updates over the outbound WebSocket");
+      await this.device.setAvailable().catch(this.device.error);
+    } else {
+      await this.device.setUnavailable(`Shelly @ ${this.api.ip} not reachable`).catch(this.device.error);
+    }
+  }
+
+  /**
+   * Keep the ip setting in sync when the connection moved to a new address
+   * @param {string} ip - The new address of the Shelly
+   */
+  async handleAddressChanged(ip) {
+    if (this.device.getSetting("ip") === ip) {
+      return;
+    }
+
+    this.device.log(`Shelly moved to ${ip}, updating settings`);
+    await this.device.setSettings({ ip }).catch(this.device.error);
+  }
+
+  /**
+   * Feed a full status into the notification handler so all capabilities are refreshed
+   * @param {Object} [status] - Shelly.GetStatus result, fetched when omitted
+   */
+  async syncStatus(status) {
+    if (!status) {
+      status = await this.api.getStatus();
+    }
+
+    await this.dispatchNotification({
+      timestamp: status.sys?.unixtime,
+      updates: this.api.parseComponentStatus(status),
+      events: []
+    });
+  }
+
+  /**
+   * Update the metering capabilities from a switch or cover component status
+   * @param {Object} status - Component status, e.g. the value of "switch:0"
+   * @param {string} [suffix] - Sub-capability suffix of a channel, e.g. ".1"
+   */
+  async updateMeasurements(status, suffix = "") {
+    if (typeof status.apower === "number") {
+      const previous = this.device.getCapabilityValue(`measure_power${suffix}`);
+      await this.setCapabilityValueSafe(`measure_power${suffix}`, status.apower);
+
+      // The run listeners compare the change with the threshold of each flow
+      if (!suffix && typeof previous === "number" && previous !== status.apower) {
+        const state = { previous, current: status.apower };
+        await this.triggerFlow("power_rose_above", { power: status.apower }, state);
+        await this.triggerFlow("power_fell_below", { power: status.apower }, state);
+      }
+    }
+
+    if (typeof status.current === "number") {
+      await this.setCapabilityValueSafe(`measure_current${suffix}`, status.current);
+    }
+
+    if (typeof status.voltage === "number") {
+      await this.setCapabilityValueSafe(`measure_voltage${suffix}`, status.voltage);
+    }
+
+    // Frequency and power factor are only reported by some devices (e.g. the Pro series)
+    if (typeof status.freq === "number") {
+      await this.ensureCapability(`measure_frequency${suffix}`);
+      await this.setCapabilityValueSafe(`measure_frequency${suffix}`, status.freq);
+    }
+
+    if (typeof status.pf === "number") {
+      await this.ensureCapability(`measure_power_factor${suffix}`);
+      await this.setCapabilityValueSafe(`measure_power_factor${suffix}`, status.pf);
+    }
+
+    if (typeof status.aenergy?.total === "number") {
+      await this.updateEnergyMeter(status.aenergy.total, `meter_power${suffix}`);
+    }
+
+    // Internal temperature of the Shelly, not the room temperature
+    if (typeof status.temperature?.tC === "number") {
+      const capability = `measure_temperature${suffix}`;
+      if (!this.device.hasCapability(capability)) {
+        await this.ensureCapability(capability);
+        await this.device.setCapabilityOptions(capability, { title: { en: "Device temperature", de: "Gerätetemperatur" } })
+          .catch(this.device.error);
+      }
+      await this.setCapabilityValueSafe(capability, status.temperature.tC);
+    }
+  }
+
+  /**
+   * Update a kWh meter from the device's Wh counter
+   * The counter restarts when the device reboots or is reset, the value reached
+   * until then is kept as offset so the cumulative total never goes backwards
+   * @param {number} totalWh - Energy counter of the device in Wh
+   * @param {string} [capability] - The meter capability
+   */
+  async updateEnergyMeter(totalWh, capability = "meter_power") {
+    if (!this.device.hasCapability(capability)) {
+      return;
+    }
+
+    const offsetKey = `${capability}_offset`;
+    let offset = this.device.getStoreValue(offsetKey) || 0;
+    const previous = this.device.getCapabilityValue(capability);
+
+    // Allow 1 Wh of rounding before treating a lower value as counter reset
+    if (typeof previous === "number" && offset + totalWh < previous * 1000 - 1) {
+      offset = previous * 1000;
+      this.device.log(`Energy counter of ${capability} restarted, continuing from ${previous} kWh`);
+      await this.device.setStoreValue(offsetKey, offset).catch(this.device.error);
+    }
+
+    await this.setCapabilityValueSafe(capability, (offset + totalWh) / 1000);
+  }
+
+  /**
+   * Add a capability that is only known once the device reports it
+   * @param {string} capability - The capability id
+   */
+  async ensureCapability(capability) {
+    if (!this.device.hasCapability(capability)) {
+      this.device.log(`Adding capability ${capability}`);
+      await this.device.addCapability(capability).catch(this.device.error);
+    }
+  }
+
+  /**
+   * Trigger a flow card of this driver for the device
+   * @param {string} cardId - Id of the device trigger card
+   * @param {Object} [tokens] - Tokens of the card
+   * @param {Object} [state] - State passed to the run listener of the card
+   */
+  async triggerFlow(cardId, tokens = {}, state = {}) {
+    try {
+      await this.device.homey.flow.getDeviceTriggerCard(cardId).trigger(this.device, tokens, state);
+    } catch (err) {
+      this.device.error(`Failed to trigger flow ${cardId}:`, err);
+    }
+  }
+
   /**
    * Safely set a capability value with error handling
    */
@@ -51,11 +965,9 @@ class BaseDevice {
       await this.device.setCapabilityValue(capability, value);
     } catch (err) {
       if (err.statusCode === 404) {
-        // Device not found - likely deleted. Disconnect WebSocket.
-        this.device.error('Device not found in Homey, disconnecting WebSocket');
-        if (this.api) {
-          this.api.disconnect();
-        }
+        // Device not found - likely deleted. Stop listening on the shared connection.
+        this.device.error('Device not found in Homey, detaching from WebSocket');
+        await this.destroy();
       } else {
         this.device.error(`Failed to set capability ${capability}:`, err);
       }
@@ -64,13 +976,17 @@ class BaseDevice {
 
   /**
    * Cleanup when device is destroyed
+   * The shared connection itself is released by the owning Homey device
    */
   async destroy() {
     if (this.api) {
-      this.api.removeNotificationHandler(this.handleNotification.bind(this));
-      this.api.disconnect();
+      this.api.removeListener('connected', this.onConnected);
+      this.api.removeListener('disconnected', this.onDisconnected);
+      this.api.removeListener('address-changed', this.onAddressChanged);
+      this.api.removeListener('pushing', this.onPushing);
+      this.api.removeNotificationHandler(this.onNotification);
     }
   }
 }
 
-module.exports = BaseDevice;
\ No newline at end of file
+module.exports = BaseDevice;
@@ -2,28 +2,61 @@
 
 const BaseDevice = require('./BaseDevice');
 
+// Cover events reporting a safety stop, besides the "errors" list in the status
+const COVER_ERROR_EVENTS = ['obstruction', 'obstacle_detected', 'safety_switch'];
+const MOVING_STATES = ['opening', 'closing', 'calibrating'];
+
+const WAIT_POLL_INTERVAL = 1000;  // 1 second between status checks, also before the first one
+const WAIT_START_TIMEOUT = 5000;  // 5 seconds for the cover to start moving
+const WAIT_TIMEOUT = 180000;      // 3 minutes, longer than any cover travel time
+
+// Homey setting -> Cover config, with the dropdown values and number ranges of driver.compose.json
+const CONFIG_SETTINGS = {
+  cover_initial_state: { path: "initial_state", values: ["stopped", "open", "closed"] },
+  cover_in_mode: { path: "in_mode", values: ["dual", "single", "detached"] },
+  cover_maxtime_open: { path: "maxtime_open", min: 1, max: 300 },
+  cover_maxtime_close: { path: "maxtime_close", min: 1, max: 300 },
+  cover_obstruction_enable: { path: "obstruction_detection.enable" },
+  cover_obstruction_power: { path: "obstruction_detection.power_thr", min: 1, max: 3500 }
+};
+
 class CoverDevice extends BaseDevice {
+  constructor(device, api) {
+    super(device, api);
+    this.errors = [];
+    this.positionControl = null;
+    this.coverState = null;
+  }
+
   async initializeCapabilities() {
     await this.device.setCapabilityValue("windowcoverings_state", "idle");
-    
+
     try {
       // Get initial status
-      const status = await this.api.getCoverStatus();
+      const status = await this.api.getCoverStatus(this.channelNumber);
       if (typeof status.current_pos === "number") {
         const position = status.current_pos / 100;
         await this.device.setCapabilityValue("windowcoverings_set", position);
       }
+      await this.updateCoverState(status);
+      await this.updateMeasurements(status);
     } catch (err) {
       this.device.error("Failed to get initial cover status:", err);
     }
 
+    await this.initializeSlatControl();
+
     // Register capability listeners
     this.device.registerCapabilityListener('windowcoverings_set', async (value) => {
+      if (this.positionControl === false) {
+        throw new Error("The cover is not calibrated, start the calibration in the maintenance actions");
+      }
+
       try {
         // Convert decimal value (0-1) to percentage (0-100)
         // 0 = closed (0%), 1 = open (100%)
         const targetPos = Math.round(value * 100);
-        await this.api.coverGoToPosition(targetPos);
+        await this.api.coverGoToPosition(targetPos, this.channelNumber);
         return true;
       } catch (err) {
         this.device.error('Failed to set cover position:', err);
@@ -36,13 +69,13 @@ class CoverDevice extends BaseDevice {
       try {
         switch (value) {
           case 'up':
-            await this.api.coverOpen();
+            await this.api.coverOpen(this.channelNumber);
             break;
           case 'down':
-            await this.api.coverClose();
+            await this.api.coverClose(this.channelNumber);
             break;
           case 'idle':
-            await this.api.coverStop();
+            await this.api.coverStop(this.channelNumber);
             break;
         }
         return true;
@@ -51,42 +84,251 @@ class CoverDevice extends BaseDevice {
         throw err;
       }
     });
+
+    // Maintenance action
+    this.device.registerCapabilityListener('button.calibrate', async () => {
+      try {
+        this.device.log('Starting cover calibration');
+        await this.api.coverCalibrate(this.channelNumber);
+        return true;
+      } catch (err) {
+        this.device.error('Failed to start calibration:', err);
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Add tilt control when the cover runs in venetian mode, remove it otherwise
+   */
+  async initializeSlatControl() {
+    let config;
+    try {
+      config = await this.api.getCoverConfig(this.channelNumber);
+    } catch (err) {
+      this.device.error("Failed to get cover config:", err);
+      return;
+    }
+
+    if (!config.slat?.enable) {
+      if (this.device.hasCapability("windowcoverings_tilt_set")) {
+        this.device.log("Slat control disabled, removing tilt capability");
+        await this.device.removeCapability("windowcoverings_tilt_set").catch(this.device.error);
+      }
+      return;
+    }
+
+    await this.ensureCapability("windowcoverings_tilt_set");
+
+    try {
+      const status = await this.api.getCoverStatus(this.channelNumber);
+      if (typeof status.slat_pos === "number") {
+        await this.device.setCapabilityValue("windowcoverings_tilt_set", status.slat_pos / 100);
+      }
+    } catch (err) {
+      this.device.error("Failed to get initial slat position:", err);
+    }
+
+    this.device.registerCapabilityListener('windowcoverings_tilt_set', async (value) => {
+      try {
+        // Convert decimal value (0-1) to percentage (0-100)
+        const slatPos = Math.round(value * 100);
+        await this.api.coverGoToSlatPosition(slatPos, this.channelNumber);
+        return true;
+      } catch (err) {
+        this.device.error('Failed to set slat position:', err);
+        throw err;
+      }
+    });
   }
 
   async handleNotification(data) {
     this.device.log('Received notification:', JSON.stringify(data));
     
     // Handle new format notifications with 'updates'
-    if (data.updates?.cover?.["0"]) {
-      const coverData = data.updates.cover["0"];
+    if (data.updates?.cover?.[this.channelNumber]) {
+      const coverData = data.updates.cover[this.channelNumber];
       if (coverData.state) {
         const state = this.mapCoverState(coverData.state);
         await this.setCapabilityValueSafe("windowcoverings_state", state);
       }
+
+      await this.updateCoverState(coverData);
       
       if (typeof coverData.current_pos === "number") {
         const position = coverData.current_pos / 100;
         await this.setCapabilityValueSafe("windowcoverings_set", position);
       }
 
-      // Handle power measurements
-      if (typeof coverData.apower === "number") {
-        await this.setCapabilityValueSafe("measure_power", coverData.apower);
-      }
-      
-      if (typeof coverData.current === "number") {
-        await this.setCapabilityValueSafe("measure_current", coverData.current);
+      if (typeof coverData.slat_pos === "number" && this.device.hasCapability("windowcoverings_tilt_set")) {
+        await this.setCapabilityValueSafe("windowcoverings_tilt_set", coverData.slat_pos / 100);
       }
+
+      // Handle power and energy measurements
+      await this.updateMeasurements(coverData);
     }  
     
-    // Cover event
-    if (data.event && data.event.component === "cover:0") {
-      if (data.event.event === "start") {
-        const state = data.event.direction === "open" ? "up" : "down";
-        await this.device.setCapabilityValue("windowcoverings_state", state).catch(this.device.error);
-      } else if (data.event.event === "stop") {
-        await this.device.setCapabilityValue("windowcoverings_state", "idle").catch(this.device.error);
+    // Cover events of our channel
+    for (const event of data.events || []) {
+      if (event.component !== `cover:${this.channelNumber}`) continue;
+
+      if (event.event === "start") {
+        const state = event.direction === "open" ? "up" : "down";
+        await this.setCapabilityValueSafe("windowcoverings_state", state);
+      } else if (event.event === "stop") {
+        await this.setCapabilityValueSafe("windowcoverings_state", "idle");
+      } else if (COVER_ERROR_EVENTS.includes(event.event)) {
+        await this.updateErrors([...this.errors, event.event]);
+      }
+    }
+
+    await this.handleInputNotification(data);
+  }
+
+  getDefaultInputIds() {
+    return [this.channelNumber * 2, this.channelNumber * 2 + 1];
+  }
+
+  getConfigSettings() {
+    return CONFIG_SETTINGS;
+  }
+
+  async getConfig() {
+    return this.api.getCoverConfig(this.channelNumber);
+  }
+
+  async setConfig(config) {
+    return this.api.setCoverConfig(config, this.channelNumber);
+  }
+
+  supportsSchedules() {
+    return true;
+  }
+
+  /**
+   * @param {number} position - Position the schedule moves the cover to (0-100)
+   */
+  getScheduleCalls(position) {
+    return [{ method: "Cover.GoToPosition", params: { id: this.channelNumber, pos: position } }];
+  }
+
+  describeScheduleCall(call) {
+    if (!call.method?.startsWith("Cover.") || call.params?.id !== this.channelNumber) {
+      return null;
+    }
+
+    switch (call.method) {
+      case "Cover.GoToPosition":
+        return `position ${call.params.pos}%`;
+      case "Cover.Open":
+        return "open";
+      case "Cover.Close":
+        return "close";
+      default:
+        return call.method;
+    }
+  }
+
+  /**
+   * Whether the cover is currently moving
+   * @returns {boolean}
+   */
+  isMoving() {
+    return MOVING_STATES.includes(this.coverState);
+  }
+
+  /**
+   * Move the cover and resolve once it stopped
+   * @param {number} position - Target position (0-100)
+   * @returns {Promise<number>} The position the cover stopped at
+   */
+  async goToPositionAndWait(position) {
+    if (this.positionControl === false) {
+      throw new Error("The cover is not calibrated, start the calibration in the maintenance actions");
+    }
+
+    await this.api.coverGoToPosition(position, this.channelNumber);
+
+    // Poll instead of waiting for notifications, a cover already at the
+    // target position does not move and sends none. Right after the command the
+    // cover can still report "stopped" at its old position, so a stop only
+    // counts once it moved, reached the target or didn't start at all
+    const start = Date.now();
+    let moved = false;
+    while (Date.now() - start < WAIT_TIMEOUT) {
+      await new Promise(resolve => setTimeout(resolve, WAIT_POLL_INTERVAL));
+      const status = await this.api.getCoverStatus(this.channelNumber);
+      if (MOVING_STATES.includes(status.state)) {
+        moved = true;
+      } else if (moved || status.current_pos === position || Date.now() - start >= WAIT_START_TIMEOUT) {
+        return status.current_pos;
+      }
+    }
+
+    throw new Error("The cover did not stop in time");
+  }
+
+  /**
+   * Stop the cover
+   */
+  async stop() {
+    await this.api.coverStop(this.channelNumber);
+  }
+
+  /**
+   * Update end state, calibration and error reporting from a (partial) cover status
+   * @param {Object} coverData - Cover status, e.g. the value of "cover:0"
+   */
+  async updateCoverState(coverData) {
+    if (coverData.state) {
+      const wasMoving = MOVING_STATES.includes(this.coverState);
+      this.coverState = coverData.state;
+      await this.setCapabilityValueSafe("cover_state", coverData.state);
+
+      if (wasMoving && !this.isMoving()) {
+        const value = typeof coverData.current_pos === "number"
+          ? coverData.current_pos
+          : this.device.getCapabilityValue("windowcoverings_set") * 100;
+        const position = Math.round(value);
+        await this.triggerFlow("cover_reached_position", { position }, { position });
       }
+
+      // A new movement clears the errors of the last one
+      if (coverData.state === "opening" || coverData.state === "closing") {
+        await this.updateErrors([]);
+      }
+    }
+
+    if (typeof coverData.pos_control === "boolean" && coverData.pos_control !== this.positionControl) {
+      this.positionControl = coverData.pos_control;
+      if (this.positionControl) {
+        await this.device.unsetWarning().catch(this.device.error);
+      } else {
+        this.device.log("Cover is not calibrated, position control unavailable");
+        await this.device.setWarning("Not calibrated: start the calibration in the maintenance actions")
+          .catch(this.device.error);
+      }
+    }
+
+    if (Array.isArray(coverData.errors)) {
+      await this.updateErrors(coverData.errors);
+    }
+  }
+
+  /**
+   * Raise the problem alarm and trigger a flow for every new error
+   * (e.g. overtemp, overpower, overvoltage, obstruction)
+   * @param {string[]} errors - All errors currently reported for the cover
+   */
+  async updateErrors(errors) {
+    const newErrors = errors.filter(error => !this.errors.includes(error));
+    this.errors = [...new Set(errors)];
+
+    await this.setCapabilityValueSafe("alarm_problem", this.errors.length > 0);
+
+    for (const error of newErrors) {
+      this.device.log(`Cover error: ${error}`);
+      await this.triggerFlow("cover_error", { error });
     }
   }
 
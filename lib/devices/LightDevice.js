@@ -0,0 +1,164 @@
+"use strict";
+
+const BaseDevice = require('./BaseDevice');
+
+// Component -> RPC namespace, e.g. "RGBW.Set"
+const RPC_NAMESPACES = { light: "Light", rgb: "RGB", rgbw: "RGBW" };
+
+/**
+ * Dimmable light channel (light:N), e.g. Shelly Plus/Pro Dimmer or Plus RGBW PM in light profile
+ */
+class LightDevice extends BaseDevice {
+  async initializeCapabilities() {
+    try {
+      // Get initial status
+      const status = await this.getStatus();
+      await this.updateLightStatus(status);
+      await this.updateMeasurements(status);
+    } catch (err) {
+      this.device.error("Failed to get initial light status:", err);
+    }
+
+    // Register capability listeners, debounced so "on + dim" becomes one request
+    this.device.registerMultipleCapabilityListener(this.getControlCapabilities(), async (values, opts) => {
+      try {
+        await this.set(this.buildSetParams(values, opts));
+        return true;
+      } catch (err) {
+        this.device.error('Failed to set light state:', err);
+        throw err;
+      }
+    }, 300);
+  }
+
+  /**
+   * Capabilities controlling the light
+   * @returns {string[]}
+   */
+  getControlCapabilities() {
+    return ["onoff", "dim"];
+  }
+
+  /**
+   * Component type of this channel in status and notifications
+   * @returns {string}
+   */
+  getComponent() {
+    return "light";
+  }
+
+  getDefaultInputIds() {
+    return [this.channelNumber];
+  }
+
+  getStatus() {
+    return this.api.getLightStatus(this.channelNumber);
+  }
+
+  set(params) {
+    return this.api.lightSet(params, this.channelNumber);
+  }
+
+  /**
+   * Convert changed capability values to Light.Set parameters
+   * @param {Object} values - Changed capability values
+   * @param {Object} opts - Capability options, e.g. { dim: { duration: 2000 } }
+   * @returns {Object}
+   */
+  buildSetParams(values, opts) {
+    const params = {};
+
+    if (typeof values.onoff === "boolean") {
+      params.on = values.onoff;
+    }
+
+    if (typeof values.dim === "number") {
+      // Dimming to 0 turns the light off, any other level turns it on
+      if (values.dim === 0) {
+        params.on = false;
+      } else {
+        params.brightness = Math.round(values.dim * 100);
+        params.on = params.on ?? true;
+      }
+    }
+
+    // Transition requested by a flow ("... over 5 seconds"), Homey passes it in ms
+    const duration = opts.dim?.duration ?? opts.onoff?.duration;
+    if (typeof duration === "number") {
+      params.transition_duration = duration / 1000;
+    }
+
+    return params;
+  }
+
+  async handleNotification(data) {
+    const status = data.updates[this.getComponent()]?.[this.channelNumber];
+
+    if (status) {
+      await this.updateLightStatus(status);
+
+      // Handle power and energy measurements
+      await this.updateMeasurements(status);
+    }
+
+    await this.handleInputNotification(data);
+  }
+
+  /**
+   * Update the light capabilities from a (partial) status
+   * @param {Object} status - Component status, e.g. the value of "light:0"
+   */
+  async updateLightStatus(status) {
+    if (typeof status.output === "boolean") {
+      await this.setCapabilityValueSafe("onoff", status.output);
+    }
+
+    if (typeof status.brightness === "number") {
+      await this.setCapabilityValueSafe("dim", status.brightness / 100);
+    }
+  }
+
+  /**
+   * Turn the light on and let the Shelly turn it off again
+   * @param {number} seconds - Duration in seconds
+   */
+  async turnOnFor(seconds) {
+    await this.set({ on: true, toggle_after: seconds });
+  }
+
+  /**
+   * Toggle the light
+   */
+  async toggle() {
+    await this.set({ on: !this.device.getCapabilityValue("onoff") });
+  }
+
+  supportsSchedules() {
+    return true;
+  }
+
+  /**
+   * @param {boolean} on - Light state the schedule sets
+   */
+  getScheduleCalls(on) {
+    return [{ method: `${RPC_NAMESPACES[this.getComponent()]}.Set`, params: { id: this.channelNumber, on } }];
+  }
+
+  describeScheduleCall(call) {
+    const namespace = RPC_NAMESPACES[this.getComponent()];
+    if (!call.method?.startsWith(`${namespace}.`) || call.params?.id !== this.channelNumber) {
+      return null;
+    }
+
+    switch (call.method) {
+      case `${namespace}.Set`:
+        return call.params.on ? "on" : "off";
+      case `${namespace}.Toggle`:
+        return "toggle";
+      default:
+        return call.method;
+    }
+  }
+}
+
+module.exports = LightDevice;
@@ -0,0 +1,163 @@
+"use strict";
+
+const BaseDevice = require('./BaseDevice');
+
+// Energy totals (emdata / em1data) are not part of every notification
+const ENERGY_POLL_INTERVAL = 60 * 1000;
+
+const PHASES = ["a", "b", "c"];
+
+/**
+ * Energy meter of the Pro 3EM (em:N, three phases) and Pro EM (em1:N, one phase each)
+ * Power, voltage and current are pushed in notifications, the energy totals of the
+ * matching emdata:N / em1data:N component are polled
+ */
+class MeterDevice extends BaseDevice {
+  constructor(device, api) {
+    super(device, api);
+    // "em" or "em1", taken from the device id
+    this.component = BaseDevice.getBinding(device).component;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Get the capabilities of a meter component
+   * @param {string} component - "em" or "em1"
+   * @returns {string[]}
+   */
+  static getCapabilities(component) {
+    const capabilities = ["measure_power", "measure_current"];
+
+    if (component === "em") {
+      for (const phase of [1, 2, 3]) {
+        capabilities.push(
+          `measure_power.phase${phase}`,
+          `measure_voltage.phase${phase}`,
+          `measure_current.phase${phase}`,
+          `measure_power_factor.phase${phase}`
+        );
+      }
+    } else {
+      capabilities.push("measure_voltage", "measure_power_factor");
+    }
+
+    capabilities.push("meter_power.imported", "meter_power.exported");
+    return capabilities;
+  }
+
+  /**
+   * Homey energy configuration of a meter, reported as cumulative meter
+   * @returns {Object}
+   */
+  static getEnergy() {
+    return {
+      cumulative: true,
+      cumulativeImportedCapability: "meter_power.imported",
+      cumulativeExportedCapability: "meter_power.exported"
+    };
+  }
+
+  async initializeCapabilities() {
+    try {
+      // Shelly.GetStatus contains the meter and its energy data
+      await this.syncStatus();
+    } catch (err) {
+      this.device.error("Failed to get initial meter status:", err);
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.pollEnergyData().catch(err => this.device.error("Failed to poll energy data:", err.message));
+    }, ENERGY_POLL_INTERVAL);
+  }
+
+  async handleNotification(data) {
+    const status = data.updates[this.component]?.[this.channelNumber];
+    if (status) {
+      await this.updateMeterStatus(status);
+    }
+
+    const energy = data.updates[`${this.component}data`]?.[this.channelNumber];
+    if (energy) {
+      await this.updateEnergyData(energy);
+    }
+  }
+
+  /**
+   * Fetch the energy totals, EMData.GetStatus or EM1Data.GetStatus
+   */
+  async pollEnergyData() {
+    if (!this.api.isConnected) {
+      return;
+    }
+
+    const energy = this.component === "em"
+      ? await this.api.getEmDataStatus(this.channelNumber)
+      : await this.api.getEm1DataStatus(this.channelNumber);
+    await this.updateEnergyData(energy);
+  }
+
+  /**
+   * Update power, voltage and current from an em:N or em1:N status
+   * @param {Object} status - Component status
+   */
+  async updateMeterStatus(status) {
+    if (this.component === "em1") {
+      await this.updateMeasurements({
+        apower: status.act_power,
+        current: status.current,
+        voltage: status.voltage,
+        pf: status.pf,
+        freq: status.freq
+      });
+      return;
+    }
+
+    // Totals drive the regular capabilities and the power flow triggers
+    await this.updateMeasurements({
+      apower: status.total_act_power,
+      current: status.total_current
+    });
+
+    for (const [index, phase] of PHASES.entries()) {
+      const suffix = `phase${index + 1}`;
+      const values = {
+        measure_power: status[`${phase}_act_power`],
+        measure_voltage: status[`${phase}_voltage`],
+        measure_current: status[`${phase}_current`],
+        measure_power_factor: status[`${phase}_pf`]
+      };
+
+      for (const [capability, value] of Object.entries(values)) {
+        if (typeof value === "number") {
+          await this.setCapabilityValueSafe(`${capability}.${suffix}`, value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Update the imported and exported energy from an emdata:N or em1data:N status
+   * @param {Object} energy - Component status, totals in Wh
+   */
+  async updateEnergyData(energy) {
+    const imported = this.component === "em" ? energy.total_act : energy.total_act_energy;
+    const exported = this.component === "em" ? energy.total_act_ret : energy.total_act_ret_energy;
+
+    if (typeof imported === "number") {
+      await this.updateEnergyMeter(imported, "meter_power.imported");
+    }
+    if (typeof exported === "number") {
+      await this.updateEnergyMeter(exported, "meter_power.exported");
+    }
+  }
+
+  async destroy() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    await super.destroy();
+  }
+}
+
+module.exports = MeterDevice;
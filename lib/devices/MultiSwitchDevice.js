@@ -0,0 +1,105 @@
+"use strict";
+
+const SwitchDevice = require('./SwitchDevice');
+
+/**
+ * All switch channels of a Pro 2PM / 4PM as one Homey device
+ * Channel N is exposed as sub-capabilities onoff.N, measure_power.N and meter_power.N,
+ * onoff and measure_power of the device cover the whole unit
+ */
+class MultiSwitchDevice extends SwitchDevice {
+  constructor(device, api) {
+    super(device, api);
+    this.channels = device.getStoreValue("channels") || [];
+    this.powers = {};
+  }
+
+  /**
+   * Get the capabilities for a set of switch channels
+   * @param {number[]} channels - Switch ids
+   * @returns {string[]}
+   */
+  static getCapabilities(channels = []) {
+    const capabilities = ["onoff", "measure_power", "meter_power"];
+    for (const channel of channels) {
+      const suffix = `.${channel + 1}`;
+      capabilities.push(`onoff${suffix}`, `measure_power${suffix}`, `meter_power${suffix}`);
+    }
+    return capabilities;
+  }
+
+  async initializeCapabilities() {
+    await super.initializeCapabilities();
+
+    // Main switch controls all channels
+    this.device.registerCapabilityListener("onoff", async (value) => {
+      await Promise.all(this.channels.map(channel => this.api.switchSet(value, channel)));
+      return true;
+    });
+  }
+
+  async updateSwitch(channel, switchState) {
+    // Only power and energy per channel, current and voltage are not worth a capability each
+    await super.updateSwitch(channel, {
+      output: switchState.output,
+      apower: switchState.apower,
+      aenergy: switchState.aenergy
+    });
+
+    if (typeof switchState.apower === "number") {
+      this.powers[channel] = switchState.apower;
+    }
+    await this.updateTotals();
+  }
+
+  /**
+   * Update onoff, total power and total energy of the unit from the channels
+   */
+  async updateTotals() {
+    const suffixes = this.channels.map(channel => this.getCapabilitySuffix(channel));
+    const outputs = suffixes.map(suffix => this.device.getCapabilityValue(`onoff${suffix}`));
+    await this.setCapabilityValueSafe("onoff", outputs.some(output => output === true));
+
+    // Wait until every channel reported once, a partial sum would fire the power triggers
+    if (this.channels.every(channel => typeof this.powers[channel] === "number")) {
+      const total = this.channels.reduce((sum, channel) => sum + this.powers[channel], 0);
+      await this.updateMeasurements({ apower: Math.round(total * 10) / 10 });
+    }
+
+    // Channel meters already include the counter reset offsets
+    const energies = suffixes.map(suffix => this.device.getCapabilityValue(`meter_power${suffix}`));
+    if (energies.every(energy => typeof energy === "number")) {
+      await this.setCapabilityValueSafe("meter_power", energies.reduce((sum, energy) => sum + energy, 0));
+    }
+  }
+
+  getChannels() {
+    return this.channels;
+  }
+
+  getCapabilitySuffix(channel) {
+    return `.${channel + 1}`;
+  }
+
+  getDefaultInputIds() {
+    return this.channels;
+  }
+
+  /**
+   * Turn all channels on and let the Shelly turn them off again
+   * @param {number} seconds - Duration in seconds
+   */
+  async turnOnFor(seconds) {
+    await Promise.all(this.channels.map(channel => this.api.switchSet(true, channel, seconds)));
+  }
+
+  /**
+   * Toggle the unit, all channels off if any is on, otherwise all on
+   */
+  async toggle() {
+    const on = !this.device.getCapabilityValue("onoff");
+    await Promise.all(this.channels.map(channel => this.api.switchSet(on, channel)));
+  }
+}
+
+module.exports = MultiSwitchDevice;
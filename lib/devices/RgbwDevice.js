@@ -0,0 +1,106 @@
+"use strict";
+
+const LightDevice = require('./LightDevice');
+
+/**
+ * Convert Homey hue/saturation (0-1) at full value to an [r, g, b] array (0-255)
+ */
+function hsToRgb(hue, saturation) {
+  const channel = (n) => {
+    const k = (n + hue * 6) % 6;
+    return Math.round(255 * (1 - saturation * Math.max(0, Math.min(k, 4 - k, 1))));
+  };
+  return [channel(5), channel(3), channel(1)];
+}
+
+/**
+ * Convert an [r, g, b] array (0-255) to Homey hue/saturation (0-1)
+ */
+function rgbToHs([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+
+  let hue = 0;
+  if (delta > 0) {
+    if (max === r) {
+      hue = ((g - b) / delta) % 6;
+    } else if (max === g) {
+      hue = (b - r) / delta + 2;
+    } else {
+      hue = (r - g) / delta + 4;
+    }
+    hue = (hue + 6) % 6 / 6;
+  }
+
+  return { hue, saturation: max === 0 ? 0 : delta / max };
+}
+
+/**
+ * Color light channel (rgb:N or rgbw:N) of the Shelly Plus RGBW PM
+ * Brightness is controlled separately by "dim", the color by hue and saturation
+ */
+class RgbwDevice extends LightDevice {
+  constructor(device, api) {
+    super(device, api);
+
+    // "rgb" or "rgbw" depending on the profile the channel was paired with
+    this.component = LightDevice.getBinding(device).component;
+  }
+
+  getControlCapabilities() {
+    const capabilities = [...super.getControlCapabilities(), "light_hue", "light_saturation"];
+    if (this.component === "rgbw") {
+      capabilities.push("dim.white");
+    }
+    return capabilities;
+  }
+
+  getComponent() {
+    return this.component;
+  }
+
+  getStatus() {
+    return this.component === "rgbw"
+      ? this.api.getRgbwStatus(this.channelNumber)
+      : this.api.getRgbStatus(this.channelNumber);
+  }
+
+  set(params) {
+    return this.component === "rgbw"
+      ? this.api.rgbwSet(params, this.channelNumber)
+      : this.api.rgbSet(params, this.channelNumber);
+  }
+
+  buildSetParams(values, opts) {
+    const params = super.buildSetParams(values, opts);
+
+    if (typeof values.light_hue === "number" || typeof values.light_saturation === "number") {
+      const hue = values.light_hue ?? this.device.getCapabilityValue("light_hue") ?? 0;
+      const saturation = values.light_saturation ?? this.device.getCapabilityValue("light_saturation") ?? 1;
+      params.rgb = hsToRgb(hue, saturation);
+    }
+
+    if (typeof values["dim.white"] === "number") {
+      params.white = Math.round(values["dim.white"] * 255);
+    }
+
+    return params;
+  }
+
+  async updateLightStatus(status) {
+    await super.updateLightStatus(status);
+
+    if (Array.isArray(status.rgb)) {
+      const { hue, saturation } = rgbToHs(status.rgb);
+      await this.setCapabilityValueSafe("light_hue", hue);
+      await this.setCapabilityValueSafe("light_saturation", saturation);
+    }
+
+    if (typeof status.white === "number" && this.device.hasCapability("dim.white")) {
+      await this.setCapabilityValueSafe("dim.white", status.white / 255);
+    }
+  }
+}
+
+module.exports = RgbwDevice;
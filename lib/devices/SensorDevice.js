@@ -0,0 +1,128 @@
+"use strict";
+
+const BaseDevice = require('./BaseDevice');
+
+// Capabilities reported by each sensor component
+const SENSOR_CAPABILITIES = {
+  temperature: ["measure_temperature"],
+  humidity: ["measure_humidity"],
+  devicepower: ["measure_battery"],
+  smoke: ["alarm_smoke"],
+  voltmeter: ["measure_voltage"]
+};
+
+/**
+ * Sensor components sharing one id, e.g. temperature:0 + humidity:0 + devicepower:0
+ * of a Plus H&T or temperature:100 of a DS18B20 on the Plus Add-on
+ *
+ * Battery powered ("sleeping") devices are only awake for a few seconds, they are
+ * configured to open an outbound WebSocket to Homey and push their status there.
+ * Without the inbound server of the app (lib/inboundServer.js) they report nothing.
+ */
+class SensorDevice extends BaseDevice {
+  constructor(device, api) {
+    super(device, api);
+    this.sensors = device.getStoreValue("sensors") || [];
+    this.sleeping = device.getStoreValue("sleeping") === true;
+  }
+
+  /**
+   * Get the capabilities for a set of sensor components
+   * @param {string[]} sensors - Component types, e.g. ["temperature", "humidity"]
+   * @returns {string[]}
+   */
+  static getCapabilities(sensors = []) {
+    return sensors.flatMap(sensor => SENSOR_CAPABILITIES[sensor] || []);
+  }
+
+  async init() {
+    if (!this.sleeping) {
+      await super.init();
+      return;
+    }
+
+    // A sleeping device is unreachable most of the time, that is not an error
+    this.device.log(`Initializing ${this.constructor.name} for ${this.device.getName()} (sleeping device)`);
+    this.api.addNotificationHandler(this.onNotification);
+    await this.device.setAvailable();
+
+    if (!this.device.homey.app.inboundServer?.isListening()) {
+      await this.device.setWarning("The WebSocket server of the app is not running, the sensor can't send updates")
+        .catch(this.device.error);
+    }
+
+    await this.initializeCapabilities();
+  }
+
+  async initializeCapabilities() {
+    try {
+      // Only succeeds while the device is awake (e.g. right after pairing)
+      await this.syncStatus();
+
+      if (this.sleeping) {
+        await this.configureOutboundWebSocket();
+      }
+    } catch (err) {
+      if (this.sleeping) {
+        this.device.log("Device is asleep, waiting for it to push its status");
+      } else {
+        this.device.error("Failed to get initial sensor status:", err);
+      }
+    }
+  }
+
+  async handleNotification(data) {
+    for (const sensor of this.sensors) {
+      const status = data.updates[sensor]?.[this.channelNumber];
+      if (status) {
+        await this.updateSensor(sensor, status);
+      }
+    }
+  }
+
+  async updateUptime(uptime) {
+    // Battery devices are only awake for a few seconds, their uptime says nothing about crashes
+    if (!this.sleeping) {
+      await super.updateUptime(uptime);
+    }
+  }
+
+  /**
+   * Update the capability of a single sensor component
+   * @param {string} sensor - Component type
+   * @param {Object} status - Component status, e.g. the value of "temperature:0"
+   */
+  async updateSensor(sensor, status) {
+    switch (sensor) {
+      case "temperature":
+        if (typeof status.tC === "number") {
+          await this.setCapabilityValueSafe("measure_temperature", status.tC);
+        }
+        break;
+      case "humidity":
+        if (typeof status.rh === "number") {
+          await this.setCapabilityValueSafe("measure_humidity", status.rh);
+        }
+        break;
+      case "devicepower":
+        if (typeof status.battery?.percent === "number") {
+          await this.setCapabilityValueSafe("measure_battery", status.battery.percent);
+        }
+        break;
+      case "smoke":
+        if (typeof status.alarm === "boolean") {
+          await this.setCapabilityValueSafe("alarm_smoke", status.alarm);
+        }
+        break;
+      case "voltmeter":
+        if (typeof status.voltage === "number") {
+          await this.setCapabilityValueSafe("measure_voltage", status.voltage);
+        }
+        break;
+    }
+  }
+}
+
+SensorDevice.SENSOR_COMPONENTS = Object.keys(SENSOR_CAPABILITIES);
+
+module.exports = SensorDevice;
@@ -2,60 +2,176 @@
 
 const BaseDevice = require('./BaseDevice');
 
+// Homey setting -> Switch config, with the dropdown values and number ranges of driver.compose.json
+const CONFIG_SETTINGS = {
+  switch_initial_state: { path: "initial_state", values: ["restore_last", "off", "on", "match_input"] },
+  switch_auto_on: { path: "auto_on" },
+  switch_auto_on_delay: { path: "auto_on_delay", min: 0.1, max: 86400 },
+  switch_auto_off: { path: "auto_off" },
+  switch_auto_off_delay: { path: "auto_off_delay", min: 0.1, max: 86400 },
+  switch_power_limit: { path: "power_limit", min: 0, max: 4480 },
+  switch_in_mode: { path: "in_mode", values: ["follow", "momentary", "flip", "detached"] }
+};
+
 class SwitchDevice extends BaseDevice {
   async initializeCapabilities() {
-    await this.device.setCapabilityValue("onoff", false);
-
-    // Get the channel number from the device ID (e.g., "abc123_switch:1" -> 1)
-    const deviceId = this.device.getData().id;
-    this.channelNumber = parseInt(deviceId.split(':')[1]);
+    for (const channel of this.getChannels()) {
+      await this.device.setCapabilityValue(`onoff${this.getCapabilitySuffix(channel)}`, false);
+    }
 
     // Initialize device
 
     try {
       // Get initial status
-      const status = await this.api.getSwitchStatus(this.channelNumber);
-      if (typeof status.output === "boolean") {
-        await this.device.setCapabilityValue("onoff", status.output);
+      for (const channel of this.getChannels()) {
+        const status = await this.api.getSwitchStatus(channel);
+        await this.updateSwitch(channel, status);
       }
     } catch (err) {
       this.device.error("Failed to get initial switch status:", err);
     }
 
     // Register capability listeners
-    this.device.registerCapabilityListener('onoff', async (value) => {
-      try {
-        await this.api.switchSet(value, this.channelNumber);
-        return true;
-      } catch (err) {
-        this.device.error('Failed to set switch state:', err);
-        throw err;
-      }
-    });
+    for (const channel of this.getChannels()) {
+      this.device.registerCapabilityListener(`onoff${this.getCapabilitySuffix(channel)}`, async (value) => {
+        try {
+          await this.api.switchSet(value, channel);
+          return true;
+        } catch (err) {
+          this.device.error('Failed to set switch state:', err);
+          throw err;
+        }
+      });
+    }
   }
 
 
   async handleNotification(data) {
     //console.log('Received notification:', JSON.stringify(data));
     
-    // Check if we have switch updates for our channel
-    if (data.updates.switch && data.updates.switch[this.channelNumber]) {
-      const switchState = data.updates.switch[this.channelNumber];
-      
-      if (typeof switchState.output === "boolean") {
-        await this.setCapabilityValueSafe("onoff", switchState.output);
+    // Check if we have switch updates for our channels
+    for (const channel of this.getChannels()) {
+      const switchState = data.updates.switch?.[channel];
+      if (switchState) {
+        await this.updateSwitch(channel, switchState);
       }
+    }
 
-      // Handle power measurements
-      if (typeof switchState.apower === "number") {
-        await this.setCapabilityValueSafe("measure_power", switchState.apower);
-      }
-      
-      if (typeof switchState.current === "number") {
-        await this.setCapabilityValueSafe("measure_current", switchState.current);
+    await this.handleInputNotification(data);
+  }
+
+  /**
+   * Update the capabilities of one channel from its switch status
+   * @param {number} channel - Switch id
+   * @param {Object} switchState - Status of "switch:<channel>"
+   */
+  async updateSwitch(channel, switchState) {
+    const suffix = this.getCapabilitySuffix(channel);
+
+    if (typeof switchState.output === "boolean") {
+      await this.setCapabilityValueSafe(`onoff${suffix}`, switchState.output);
+    }
+
+    // Handle power and energy measurements
+    await this.updateMeasurements(switchState, suffix);
+
+    // The Shelly turns the output off on overtemperature, turning it on again means it cooled down
+    if (this.device.hasCapability("alarm_heat")) {
+      if (Array.isArray(switchState.errors)) {
+        await this.setCapabilityValueSafe("alarm_heat", switchState.errors.includes("overtemp"));
+      } else if (switchState.output === true) {
+        await this.setCapabilityValueSafe("alarm_heat", false);
       }
     }
   }
+
+  /**
+   * Switch ids controlled by this device
+   * @returns {number[]}
+   */
+  getChannels() {
+    return [this.channelNumber];
+  }
+
+  /**
+   * Sub-capability suffix of a channel, none for a single channel device
+   * @param {number} channel - Switch id
+   * @returns {string}
+   */
+  getCapabilitySuffix(channel) {
+    return "";
+  }
+
+  getDefaultInputIds() {
+    return [this.channelNumber];
+  }
+
+  getConfigSettings() {
+    return CONFIG_SETTINGS;
+  }
+
+  async getConfig() {
+    return this.api.getSwitchConfig(this.getChannels()[0]);
+  }
+
+  async setConfig(config) {
+    // A combined device applies the settings to all of its channels
+    let result;
+    for (const channel of this.getChannels()) {
+      result = await this.api.setSwitchConfig(config, channel);
+    }
+    return result;
+  }
+
+  validateConfig(settings) {
+    if (settings.switch_auto_on && !(settings.switch_auto_on_delay > 0)) {
+      throw new Error("The auto-on delay must be greater than 0 seconds");
+    }
+    if (settings.switch_auto_off && !(settings.switch_auto_off_delay > 0)) {
+      throw new Error("The auto-off delay must be greater than 0 seconds");
+    }
+  }
+
+  supportsSchedules() {
+    return true;
+  }
+
+  /**
+   * @param {boolean} on - Switch state the schedule sets
+   */
+  getScheduleCalls(on) {
+    return this.getChannels().map(id => ({ method: "Switch.Set", params: { id, on } }));
+  }
+
+  describeScheduleCall(call) {
+    if (!call.method?.startsWith("Switch.") || !this.getChannels().includes(call.params?.id)) {
+      return null;
+    }
+
+    switch (call.method) {
+      case "Switch.Set":
+        return call.params.on ? "on" : "off";
+      case "Switch.Toggle":
+        return "toggle";
+      default:
+        return call.method;
+    }
+  }
+
+  /**
+   * Turn the switch on and let the Shelly turn it off again
+   * @param {number} seconds - Duration in seconds
+   */
+  async turnOnFor(seconds) {
+    await this.api.switchSet(true, this.channelNumber, seconds);
+  }
+
+  /**
+   * Toggle the switch
+   */
+  async toggle() {
+    await this.api.switchToggle(this.channelNumber);
+  }
 }
 
-module.exports = SwitchDevice;
\ No newline at end of file
+module.exports = SwitchDevice;
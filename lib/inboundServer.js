@@ -0,0 +1,147 @@
+'use strict';
+
+const { WebSocketServer } = require('ws');
+
+const CONFIG = {
+  PORT: 8765
+};
+
+/**
+ * WebSocket server for the outbound WebSocket of Shelly devices (Ws.SetConfig)
+ * Frames are matched to the pooled connection of the sending Shelly by their src
+ * and handled as if they were received on that connection. While Homey has its own
+ * WebSocket to the device the same notifications arrive there, the pushed
+ * duplicates are dropped then. Over the HTTP fallback only the pushed frames carry
+ * input events and real-time updates.
+ */
+class InboundServer {
+  /**
+   * @param {Object} homey - The Homey instance
+   * @param {ConnectionPool} connectionPool - Pool holding the connections by Shelly id
+   * @param {number} [port] - Port to listen on
+   */
+  constructor(homey, connectionPool, port = CONFIG.PORT) {
+    this.homey = homey;
+    this.connectionPool = connectionPool;
+    this.port = port;
+    this.wss = null;
+    this.devices = new Map();  // src -> WebSocket of the device, to mark it as not pushing on close
+  }
+
+  /**
+   * Start listening for device connections
+   * @returns {Promise<void>}
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocketServer({ port: this.port });
+      this.wss.once('listening', resolve);
+      this.wss.once('error', (err) => {
+        // getUrl() reports the server as not running
+        this.wss = null;
+        reject(err);
+      });
+      this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    });
+  }
+
+  /**
+   * Whether the server accepts connections, devices can only push to Homey then
+   * @returns {boolean}
+   */
+  isListening() {
+    return this.wss !== null;
+  }
+
+  /**
+   * URL the Shelly devices have to connect to
+   * @returns {Promise<string>} e.g. "ws://192.168.1.10:8765"
+   */
+  async getUrl() {
+    if (!this.isListening()) {
+      throw new Error(`The WebSocket server of the app is not running on port ${this.port}`);
+    }
+    const localAddress = await this.homey.cloud.getLocalAddress();
+    return `ws://${localAddress.split(':')[0]}:${this.port}`;
+  }
+
+  /**
+   * @private
+   */
+  handleConnection(ws, req) {
+    const address = req.socket.remoteAddress;
+    console.log(`[InboundServer] Shelly connected from ${address}`);
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        console.error(`[InboundServer] Ignoring malformed message from ${address}`);
+        return;
+      }
+      this.identify(ws, message.src, address);
+      this.handleMessage(message);
+    });
+
+    ws.on('close', () => {
+      console.log(`[InboundServer] Shelly at ${address} disconnected`);
+      for (const [src, socket] of this.devices) {
+        if (socket === ws) {
+          this.devices.delete(src);
+          this.connectionPool.get(src)?.setPushing(false);
+        }
+      }
+    });
+    ws.on('error', (err) => console.error(`[InboundServer] Connection error from ${address}:`, err.message));
+  }
+
+  /**
+   * Remember which device a connection belongs to, known from the src of its first frame
+   * @private
+   */
+  identify(ws, src, address) {
+    if (!src || this.devices.get(src) === ws) {
+      return;
+    }
+    console.log(`[InboundServer] ${address} identified as ${src}`);
+    this.devices.set(src, ws);
+  }
+
+  /**
+   * Route a frame to the connection of the sending device
+   * @private
+   */
+  handleMessage(message) {
+    const api = message.src && this.connectionPool.get(message.src);
+    if (!api) {
+      console.log(`[InboundServer] Ignoring frame from unknown device ${message.src}`);
+      return;
+    }
+    api.setPushing(true);
+    if (api.isConnected && api.transport === 'ws') {
+      // Received on Homey's own WebSocket as well
+      return;
+    }
+    api.handleMessage(message);
+  }
+
+  /**
+   * Stop the server and close all device connections
+   */
+  close() {
+    if (this.wss) {
+      for (const ws of this.wss.clients) {
+        ws.terminate();
+      }
+      this.wss.close();
+      this.wss = null;
+      for (const src of this.devices.keys()) {
+        this.connectionPool.get(src)?.setPushing(false);
+      }
+      this.devices.clear();
+    }
+  }
+}
+
+module.exports = InboundServer;
@@ -0,0 +1,127 @@
+'use strict';
+
+const createMdnsServer = require('mdns-server');
+
+const SERVICE_TYPES = ['_shelly._tcp.local', '_http._tcp.local'];
+
+/**
+ * Browses the local network for Shelly Gen2+ devices via mDNS/Zeroconf
+ */
+class MdnsDiscovery {
+  constructor() {
+    this.BROWSE_TIMEOUT = 3000;  // 3 seconds to collect responses
+  }
+
+  /**
+   * Query the Shelly service types and resolve the announced instances
+   * @param {number} [timeout] - Time in ms to collect responses
+   * @returns {Promise<Array<{id: string, ip: string, gen: number, app: string}>>}
+   *   Resolved devices, one per Shelly id
+   */
+  browse(timeout = this.BROWSE_TIMEOUT) {
+    return new Promise(resolve => {
+      const records = { ptr: new Set(), srv: new Map(), txt: new Map(), a: new Map() };
+      const mdns = createMdnsServer({ reuseAddr: true, loopback: false, noInit: true });
+      let timeoutId = null;
+      let finished = false;
+
+      // Reached by the timeout and by errors, possibly both
+      const finish = () => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timeoutId);
+        mdns.destroy();
+        resolve(this._resolveRecords(records));
+      };
+
+      mdns.on('response', response => {
+        const answers = [...(response.answers || []), ...(response.additionals || [])];
+        for (const answer of answers) {
+          this._collectRecord(answer, records, mdns);
+        }
+      });
+
+      mdns.on('error', err => {
+        console.error('mDNS discovery failed:', err.message);
+        finish();
+      });
+
+      mdns.on('ready', () => {
+        mdns.query({
+          questions: SERVICE_TYPES.map(name => ({ name, type: 'PTR' }))
+        });
+        timeoutId = setTimeout(finish, timeout);
+      });
+
+      mdns.initServer();
+    });
+  }
+
+  /**
+   * Store a single resource record and ask for missing address records
+   * @private
+   */
+  _collectRecord(answer, records, mdns) {
+    switch (answer.type) {
+      case 'PTR':
+        if (SERVICE_TYPES.includes(answer.name)) {
+          records.ptr.add(answer.data);
+        }
+        break;
+      case 'SRV':
+        records.srv.set(answer.name, answer.data);
+        if (!records.a.has(answer.data.target)) {
+          mdns.query({ questions: [{ name: answer.data.target, type: 'A' }] });
+        }
+        break;
+      case 'TXT':
+        records.txt.set(answer.name, this._parseTxt(answer.data));
+        break;
+      case 'A':
+        records.a.set(answer.name, answer.data);
+        break;
+    }
+  }
+
+  /**
+   * Parse TXT record data (array of "key=value" buffers) into an object
+   * @private
+   */
+  _parseTxt(data) {
+    const txt = {};
+    for (const entry of [].concat(data || [])) {
+      const [key, ...value] = entry.toString().split('=');
+      txt[key.toLowerCase()] = value.join('=');
+    }
+    return txt;
+  }
+
+  /**
+   * Turn the collected records into devices, skipping non Shelly and Gen1 services
+   * @private
+   */
+  _resolveRecords(records) {
+    const devices = new Map();
+
+    for (const instance of records.ptr) {
+      const srv = records.srv.get(instance);
+      const txt = records.txt.get(instance) || {};
+      const ip = srv && records.a.get(srv.target);
+      // e.g. "shellyplus1pm-a8032ab12345._shelly._tcp.local" -> "shellyplus1pm-a8032ab12345"
+      const id = (txt.id || instance.split('.')[0]).toLowerCase();
+      const gen = parseInt(txt.gen);
+
+      if (!ip || !id.startsWith('shelly') || !(gen >= 2)) continue;
+
+      if (!devices.has(id)) {
+        devices.set(id, { id, ip, gen, app: txt.app });
+      }
+    }
+
+    return [...devices.values()];
+  }
+}
+
+module.exports = MdnsDiscovery;
@@ -1,31 +1,83 @@
 'use strict';
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const WebSocket = require('ws');
+const fetch = require('node-fetch');
 
 const CONFIG = {
   REQUEST_TIMEOUT: 5000,
+  CONNECT_TIMEOUT: 5000,
   RETRY_DELAY: 1000,
-  RETRYABLE_ERRORS: ['EHOSTUNREACH', 'ETIMEDOUT', 'ECONNREFUSED']
+  RETRYABLE_ERRORS: ['EHOSTUNREACH', 'ETIMEDOUT', 'ECONNREFUSED'],
+  RECONNECT_MIN_DELAY: 1000,
+  RECONNECT_MAX_DELAY: 60000,
+  RECONNECT_JITTER: 0.3,  // +/- 30% of the backoff delay
+  UNREACHABLE_AFTER_ATTEMPTS: 3,
+  AUTH_USER: 'admin',     // Gen2 devices only know the admin user
+  HTTP_POLL_INTERVAL: 5000,
+  WS_UPGRADE_INTERVAL: 60000,
+  // WebSocket errors after which HTTP can't work either
+  NO_HTTP_FALLBACK: ['EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'ECONNREFUSED'],
+  SCRIPT_CHUNK_SIZE: 1024  // Characters per Script.PutCode, larger frames are rejected by the device
 };
 
+/**
+ * @private
+ * SHA-256 hex digest as used by the Gen2 digest authentication
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
 /**
  * Class representing a Shelly device API
+ *
+ * Emits `connected` (with the initial `Shelly.GetStatus` result) whenever the
+ * WebSocket is (re)established and `disconnected` when an open connection drops.
+ * `unreachable` is emitted after every few failed reconnect attempts and
+ * `address-changed` when the connection is moved to a new address.
+ * `pushing` (true/false) follows whether the device pushes frames to the
+ * inbound server of the app over its outbound WebSocket.
+ *
+ * With `httpFallback` requests go over HTTP (/rpc) when the WebSocket can't be
+ * opened, e.g. because the connection limit of the device is reached. Polling
+ * `Shelly.GetStatus` then feeds the notification handlers and the WebSocket is
+ * retried periodically. Input events are only available over the WebSocket.
  */
-class ShellyApi {
+class ShellyApi extends EventEmitter {
   /**
    * Create a ShellyApi instance
    * @param {string} ip - The IP address of the Shelly device
-   * @param {string} deviceId - The Homey device ID to use as src in requests
+   * @param {string} deviceId - Client id to use as src in requests
+   * @param {Object} [options]
+   * @param {boolean} [options.autoReconnect=false] - Reconnect with backoff when the connection drops
+   * @param {string} [options.password] - Password for devices with authentication enabled
+   * @param {boolean} [options.httpFallback=false] - Use HTTP when the WebSocket can't be opened
    */
-  constructor(ip, deviceId) {
+  constructor(ip, deviceId, options = {}) {
+    super();
     this.ip = ip;
     this.deviceId = deviceId;
     this.wsUrl = `ws://${ip}/rpc`;
     this.ws = null;
     this.isConnected = false;
+    this.connectPromise = null;
     this.messageId = 1;
     this.pendingRequests = new Map();
-    this.notificationHandler = null;
+    this.notificationHandlers = new Set();
+    this.autoReconnect = options.autoReconnect === true;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.closing = false;
+    this.password = options.password || null;
+    this.authChallenge = null;
+    this.httpFallback = options.httpFallback === true;
+    this.transport = 'ws';  // 'ws' or 'http'
+    this.pollTimer = null;
+    this.upgradeTimer = null;
+    this.pushing = false;  // Device is connected to the inbound server of the app
+    this.rebootRequestedAt = null;  // Time of the last Shelly.Reboot, to tell it from a crash
   }
 
   /**
@@ -45,54 +97,267 @@ class ShellyApi {
   }
 
   /**
-   * Connect to the device via WebSocket
+   * Connect to the device via WebSocket, or HTTP if enabled and the WebSocket fails
+   * A connection closed by disconnect() stays closed, requests are rejected then
    * @returns {Promise<void>}
    */
   connect() {
-    if (this.ws) {
+    if (this.closing) {
+      const err = new Error('Connection closed by disconnect()');
+      err.code = 'CONNECTION_CLOSED';
+      return Promise.reject(err);
+    }
+    if (this.isConnected) {
       return Promise.resolve();
     }
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
+
+    this.connectPromise = this.openWebSocket()
+      .catch(err => (this.httpFallback && !CONFIG.NO_HTTP_FALLBACK.includes(err.code)
+        ? this.connectHttp(err)
+        : Promise.reject(err)))
+      .catch(err => {
+        this.handleClose(err);
+        throw err;
+      })
+      .finally(() => {
+        this.connectPromise = null;
+      });
 
+    return this.connectPromise;
+  }
+
+  /**
+   * @private
+   * Open the WebSocket, also used to leave HTTP mode again
+   * Failures before the socket is open only reject, the caller decides what follows
+   * @returns {Promise<void>}
+   */
+  openWebSocket() {
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(this.wsUrl);
+      const ws = new WebSocket(this.wsUrl, { handshakeTimeout: CONFIG.CONNECT_TIMEOUT });
+      this.ws = ws;
+      let opened = false;
       //this.log('Attempting to establish WebSocket connection... URL:', this.wsUrl);
 
-      this.ws.on('open', async () => {
+      ws.on('open', async () => {
         //this.log('WebSocket connection established');
+        opened = true;
+        if (this.transport === 'http') {
+          this.log('WebSocket available again, leaving HTTP mode');
+          this.stopHttpMode();
+        }
         this.isConnected = true;
-        
+        this.reconnectAttempts = 0;
+
         // First send a status request to enable notifications
+        let status = null;
         try {
-          await this.getStatus();          
+          status = await this.getStatus();
         } catch (error) {
           this.error('Failed to send initial status request:', error);
         }
-        
+
+        this.connectPromise = null;
         resolve();
+
+        if (this.isConnected) {
+          this.emit('connected', status);
+        }
       });
 
-      this.ws.on('message', (data) => {
+      ws.on('message', (data) => {
         //this.log('WebSocket message received:', data.toString());
-        const message = JSON.parse(data.toString());
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (err) {
+          this.error('Ignoring malformed message:', data.toString());
+          return;
+        }
+        // Frames are addressed to the src of the client, e.g. "homey-shellyplus1-a8032ab12345".
+        // The pooled socket is shared by all channels under one id, a frame for another src
+        // (e.g. the id of a replaced client) could otherwise resolve a pending request with the same id
+        if (message.dst && this.deviceId && message.dst !== this.deviceId) {
+          return;
+        }
         this.handleMessage(message);
       });
 
-      this.ws.on('close', () => {
-        this.isConnected = false;
-        this.ws = null;
+      ws.on('close', () => {
+        // Ignore sockets that have already been replaced or cleaned up
+        if (ws !== this.ws) return;
         //this.log('Connection closed');
+        const err = new Error('Connection closed');
+        err.code = 'CONNECTION_CLOSED';
+        this.ws = null;
+        if (opened) {
+          this.handleClose(err);
+        }
+        reject(err);
       });
 
-      this.ws.on('error', (err) => this.handleError(err, reject));
+      ws.on('error', (err) => {
+        if (ws !== this.ws) return;
+        const error = this.handleError(err);
+        if (opened) {
+          this.handleClose(error);
+        }
+        reject(error);
+      });
     });
   }
 
+  /**
+   * @private
+   * Continue over HTTP after the WebSocket could not be opened
+   * @param {Error} wsError - Why the WebSocket failed, thrown when HTTP fails as well
+   */
+  async connectHttp(wsError) {
+    if (this.closing) {
+      throw wsError;
+    }
+
+    this.transport = 'http';
+    let status;
+    try {
+      status = await this.getStatus();
+    } catch (err) {
+      this.transport = 'ws';
+      throw err.code === 'AUTH_REQUIRED' || err.code === 'AUTH_FAILED' ? err : wsError;
+    }
+
+    this.log(`WebSocket not available (${wsError.message}), using HTTP polling`);
+    this.isConnected = true;
+    this.reconnectAttempts = 0;
+    this.schedulePoll();
+    this.scheduleUpgrade();
+    this.emit('connected', status);
+  }
+
+  /**
+   * @private
+   * Poll the status and hand it to the notification handlers like a NotifyStatus
+   */
+  schedulePoll() {
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.getStatus().then((status) => {
+        if (this.transport === 'http') {
+          this.handleNotification({ method: 'NotifyStatus', params: { ts: status.sys?.unixtime, ...status } });
+          this.schedulePoll();
+        }
+      }, (err) => {
+        if (this.transport === 'http') {
+          this.error('HTTP polling failed:', err.message);
+          this.handleClose(err);
+        }
+      });
+    }, CONFIG.HTTP_POLL_INTERVAL);
+  }
+
+  /**
+   * @private
+   * Retry the WebSocket while in HTTP mode, the open handler switches back
+   */
+  scheduleUpgrade() {
+    this.upgradeTimer = setTimeout(() => {
+      this.upgradeTimer = null;
+      this.openWebSocket().catch(() => {
+        if (this.transport === 'http' && !this.closing) {
+          this.scheduleUpgrade();
+        }
+      });
+    }, CONFIG.WS_UPGRADE_INTERVAL);
+  }
+
+  /**
+   * @private
+   * Stop polling and WebSocket retries of the HTTP mode
+   */
+  stopHttpMode() {
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.upgradeTimer);
+    this.pollTimer = null;
+    this.upgradeTimer = null;
+    this.transport = 'ws';
+  }
+
+  /**
+   * @private
+   * Reset connection state after the socket went away and start supervision
+   * @param {Error} reason - Error used to reject pending requests
+   */
+  handleClose(reason) {
+    const wasConnected = this.isConnected;
+
+    this.ws = null;
+    this.isConnected = false;
+    this.stopHttpMode();
+    this.rejectPendingRequests(reason);
+
+    if (wasConnected) {
+      this.log('Connection lost');
+      this.emit('disconnected', reason);
+    }
+
+    if (this.autoReconnect && !this.closing) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * @private
+   * Schedule the next reconnect attempt using exponential backoff with jitter
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    const backoff = Math.min(
+      CONFIG.RECONNECT_MAX_DELAY,
+      CONFIG.RECONNECT_MIN_DELAY * 2 ** this.reconnectAttempts
+    );
+    const jitter = backoff * CONFIG.RECONNECT_JITTER * (Math.random() * 2 - 1);
+    const delay = Math.round(backoff + jitter);
+
+    this.reconnectAttempts++;
+    this.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // A failed attempt schedules the next one via handleClose
+      this.connect().catch(() => {});
+    }, delay);
+
+    if (this.reconnectAttempts % CONFIG.UNREACHABLE_AFTER_ATTEMPTS === 0) {
+      // The device may have moved to another address (e.g. a new DHCP lease)
+      this.emit('unreachable', this.reconnectAttempts);
+    }
+  }
+
+  /**
+   * @private
+   * Reject all requests still waiting for a response
+   * @param {Error} reason - Error passed to the pending promises
+   */
+  rejectPendingRequests(reason) {
+    const pending = [...this.pendingRequests.values()];
+    this.pendingRequests.clear();
+    for (const resolver of pending) {
+      resolver.reject(reason);
+    }
+  }
+
   /**
    * @private
    * Handle incoming WebSocket messages
    */
   handleMessage(message) {
-    if (message.method === 'NotifyStatus' || message.method === 'NotifyEvent') {
+    if (['NotifyStatus', 'NotifyFullStatus', 'NotifyEvent'].includes(message.method)) {
       this.handleNotification(message);
     } else if (message.id) {
       this.handleRpcResponse(message);
@@ -100,35 +365,62 @@ class ShellyApi {
   }
 
   /**
-   * @private
-   * Handle notifications from the device
+   * Track whether the device pushes frames over its outbound WebSocket
+   * Set by the inbound server when the device connects to it or goes away
+   * @param {boolean} pushing
    */
-  handleNotification(message) {
-    // Check if this notification is for this specific device instance
-    if (message.dst && message.dst !== this.deviceId) {
-      // This notification is for a different device instance on the same Shelly
-      return;
+  setPushing(pushing) {
+    if (this.pushing !== pushing) {
+      this.pushing = pushing;
+      this.emit('pushing', pushing);
     }
+  }
 
-    console.log('----------------------------------------------------------------------');
-    console.log(`Received notification (${this.deviceId}): ${JSON.stringify(message)}`);
-    const { params } = message;
-    const timestamp = params.ts;
+  /**
+   * Group a status object by component type and id
+   * e.g. { "switch:0": {...}, ts: 1 } -> { switch: { 0: {...} } }
+   * Components without id (sys, wifi, ...) are kept as they are, e.g. { sys: {...} }
+   * @param {Object} params - Shelly.GetStatus result or NotifyStatus params
+   * @returns {Object} Component updates keyed by type and id
+   */
+  parseComponentStatus(params) {
     const updates = {};
 
     for (const [key, value] of Object.entries(params)) {
       if (key !== 'ts') {
         const [component, id] = key.split(':');
-        updates[component] = updates[component] || {};
-        updates[component][id] = value;
+        if (id === undefined) {
+          updates[component] = value;
+        } else {
+          updates[component] = updates[component] || {};
+          updates[component][id] = value;
+        }
       }
     }
 
-    if (this.notificationHandler) {
+    return updates;
+  }
+
+  /**
+   * @private
+   * Handle notifications from the device
+   * Handlers receive { timestamp, updates, events } where events holds the
+   * entries of a NotifyEvent, e.g. [{ component: "cover:0", id: 0, event: "start" }]
+   */
+  handleNotification(message) {
+    console.log('----------------------------------------------------------------------');
+    console.log(`Received notification (${this.deviceId}): ${JSON.stringify(message)}`);
+    const { events = [], ...params } = message.params;
+    const timestamp = params.ts;
+    const updates = this.parseComponentStatus(params);
+
+    // Fan out to every channel subscribed on this connection
+    for (const handler of this.notificationHandlers) {
       try {
-        this.notificationHandler({ timestamp, updates });
+        Promise.resolve(handler({ timestamp, updates, events }))
+          .catch(err => this.error('Error in notification handler:', err));
       } catch (err) {
-        this.log('Error in notification handler:', err);
+        this.error('Error in notification handler:', err);
       }
     }
   }
@@ -142,7 +434,10 @@ class ShellyApi {
     if (resolver) {
       this.pendingRequests.delete(message.id);
       if (message.error) {
-        resolver.reject(new Error(`RPC Error ${message.error.code}: ${message.error.message}`));
+        const err = new Error(`RPC Error ${message.error.code}: ${message.error.message}`);
+        err.rpcCode = message.error.code;
+        err.rpcMessage = message.error.message;
+        resolver.reject(err);
       } else {
         resolver.resolve(message.result);
       }
@@ -151,11 +446,10 @@ class ShellyApi {
 
   /**
    * @private
-   * Handle WebSocket connection errors
+   * Classify a WebSocket error and drop the socket
+   * @returns {Error} Error with a code, NOT_SHELLY_DEVICE if something else answered
    */
-  handleError(err, reject) {
-    this.cleanupWebSocket();
-
+  handleError(err) {
     const isNotShellyResponse = err.message.includes('404') ||
       err.message.includes('Unexpected server response');
 
@@ -175,22 +469,144 @@ class ShellyApi {
       this.log('Debug:', enhancedError.message, err.code || err.message);
     }
 
-    reject(enhancedError);
+    if (this.ws) {
+      this.ws.terminate();
+      this.ws = null;
+    }
+    return enhancedError;
   }
 
   /**
    * Send a request to the device
+   * Answers a digest authentication challenge (RPC error 401) when a password is set
    * @param {string} method - RPC method to call
    * @param {Object} [params] - Method parameters
    * @param {number} [retries] - Number of retries
    * @returns {Promise<any>}
    */
   async request(method, params = {}, retries = 1) {
+    try {
+      return await this.sendRequest(method, params, retries);
+    } catch (err) {
+      if (err.rpcCode !== 401) {
+        throw err;
+      }
+      return this.retryWithAuth(method, params, err);
+    }
+  }
+
+  /**
+   * @private
+   * Repeat a request that was rejected with 401 using the challenge from the error
+   * A second 401 means the password is wrong, an expired nonce is renewed by the first retry
+   */
+  async retryWithAuth(method, params, authError) {
+    const challenge = this.parseAuthChallenge(authError);
+
+    if (!this.password || !challenge) {
+      this.authChallenge = null;
+      const err = new Error('Password required, enter it in the device settings');
+      err.code = 'AUTH_REQUIRED';
+      throw err;
+    }
+
+    this.authChallenge = challenge;
+
+    try {
+      return await this.sendRequest(method, params, 0);
+    } catch (retryErr) {
+      if (retryErr.rpcCode !== 401) {
+        throw retryErr;
+      }
+      this.authChallenge = null;
+      const err = new Error('Wrong password, check the device settings');
+      err.code = 'AUTH_FAILED';
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   * Parse the digest challenge sent as JSON in the message of an RPC 401 error
+   * e.g. {"auth_type":"digest","nonce":1625038762,"nc":1,"realm":"shellypro4pm-f008d1d8b8b8","algorithm":"SHA-256"}
+   * @returns {Object|null} The challenge or null when the message cannot be parsed
+   */
+  parseAuthChallenge(err) {
+    try {
+      const challenge = JSON.parse(err.rpcMessage);
+      return challenge && challenge.nonce !== undefined && challenge.realm ? challenge : null;
+    } catch (parseErr) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   * Create the auth object for a request from the current challenge
+   * @returns {Object} auth block for the JSON-RPC frame
+   */
+  createAuth() {
+    const { realm, nonce, nc = 1 } = this.authChallenge;
+    const cnonce = Math.floor(Math.random() * 1e9);
+
+    const ha1 = sha256(`${CONFIG.AUTH_USER}:${realm}:${this.password}`);
+    const ha2 = sha256('dummy_method:dummy_uri');
+    const response = sha256(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`);
+
+    return {
+      realm,
+      username: CONFIG.AUTH_USER,
+      nonce,
+      cnonce,
+      response,
+      algorithm: 'SHA-256'
+    };
+  }
+
+  /**
+   * Change the password used for authentication
+   * An open connection is re-authenticated and emits `connected` again so listeners resync
+   * @param {string} password - The device password, empty to disable authentication
+   */
+  setPassword(password) {
+    if ((password || null) === this.password) {
+      return;
+    }
+
+    this.password = password || null;
+    this.authChallenge = null;
+
+    if (this.isConnected) {
+      // Listeners fetch the status themselves (and see the auth error) when this fails
+      this.getStatus()
+        .catch(err => {
+          this.error('Re-authentication failed:', err.message);
+          return null;
+        })
+        .then(status => this.emit('connected', status))
+        .catch(err => this.error('Resync after the password change failed:', err.message));
+    }
+  }
+
+  /**
+   * @private
+   * Send a single JSON-RPC request over the WebSocket
+   */
+  async sendRequest(method, params, retries) {
+    if (this.transport === 'http') {
+      return this.sendHttpRequest(method, params);
+    }
+
     try {
       if (!this.isConnected) {
         await this.connect();
-      }      
-      
+      }
+
+      // The connect may have fallen back to HTTP
+      if (this.transport === 'http') {
+        return this.sendHttpRequest(method, params);
+      }
+
       const message = {
         jsonrpc: "2.0",
         id: this.messageId++,  // We still need a unique message ID for tracking responses
@@ -199,6 +615,10 @@ class ShellyApi {
         params
       };
 
+      if (this.password && this.authChallenge) {
+        message.auth = this.createAuth();
+      }
+
       return new Promise((resolve, reject) => {
         const msgId = this.messageId - 1;  // Use the message ID we just incremented
         const timeoutId = setTimeout(() => {
@@ -218,12 +638,17 @@ class ShellyApi {
         });
 
         try {
+          if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            const err = new Error('Connection closed');
+            err.code = 'CONNECTION_CLOSED';
+            throw err;
+          }
           var msg = JSON.stringify(message);
           console.log('Sending message:', msg);
           this.ws.send(msg);
         } catch (err) {
           clearTimeout(timeoutId);
-          this.pendingRequests.delete(id);
+          this.pendingRequests.delete(msgId);
           
           if (retries > 0 && CONFIG.RETRYABLE_ERRORS.includes(err.code)) {
             setTimeout(() => {
@@ -245,6 +670,101 @@ class ShellyApi {
     }
   }
 
+  /**
+   * @private
+   * Send a single request over HTTP
+   * Requests with only numeric or boolean params use GET /rpc/<Method>?..., others POST /rpc
+   */
+  async sendHttpRequest(method, params = {}) {
+    const simple = Object.values(params).every(value => typeof value === 'number' || typeof value === 'boolean');
+    const query = new URLSearchParams(params).toString();
+    const uri = simple ? `/rpc/${method}${query ? `?${query}` : ''}` : '/rpc';
+    const httpMethod = simple ? 'GET' : 'POST';
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.password && this.authChallenge) {
+      headers.Authorization = this.createHttpAuth(httpMethod, uri);
+    }
+
+    let response;
+    try {
+      response = await fetch(`http://${this.ip}${uri}`, {
+        method: httpMethod,
+        headers,
+        timeout: CONFIG.REQUEST_TIMEOUT,
+        body: simple ? undefined : JSON.stringify({
+          id: this.messageId++,
+          src: this.deviceId || 'homey_default',
+          method,
+          params
+        })
+      });
+    } catch (err) {
+      const error = new Error(`HTTP request failed: ${err.message}`);
+      error.code = err.type === 'request-timeout' ? 'REQUEST_TIMEOUT' : (err.code || 'CONNECTION_FAILED');
+      throw error;
+    }
+
+    if (response.status === 401) {
+      // Same shape as the RPC error over the WebSocket, so request() answers the challenge
+      const err = new Error('RPC Error 401: unauthorized');
+      err.rpcCode = 401;
+      err.rpcMessage = JSON.stringify(this.parseDigestHeader(response.headers.get('www-authenticate')));
+      throw err;
+    }
+
+    let body;
+    try {
+      body = await response.json();
+    } catch (parseErr) {
+      const err = new Error(`Unexpected HTTP response ${response.status}`);
+      err.code = 'NOT_SHELLY_DEVICE';
+      throw err;
+    }
+
+    // GET answers with the plain result, POST with a JSON-RPC frame; errors are frames in both cases
+    const error = body.error || (body.code !== undefined && body.message !== undefined ? body : null);
+    if (error) {
+      const err = new Error(`RPC Error ${error.code}: ${error.message}`);
+      err.rpcCode = error.code;
+      err.rpcMessage = error.message;
+      throw err;
+    }
+
+    return simple ? body : body.result;
+  }
+
+  /**
+   * @private
+   * Parse a WWW-Authenticate digest header into a challenge
+   * e.g. 'Digest qop="auth", realm="shellypro4pm-f008d1d8b8b8", nonce="60dc59c6", algorithm=SHA-256'
+   * @returns {Object}
+   */
+  parseDigestHeader(header) {
+    const challenge = {};
+    for (const [, key, quoted, plain] of (header || '').matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)) {
+      challenge[key] = quoted !== undefined ? quoted : plain;
+    }
+    return challenge;
+  }
+
+  /**
+   * @private
+   * Create the Authorization header of an HTTP request from the current challenge (RFC 7616)
+   */
+  createHttpAuth(httpMethod, uri) {
+    const { realm, nonce } = this.authChallenge;
+    const cnonce = Math.floor(Math.random() * 1e9);
+    const nc = '00000001';
+
+    const ha1 = sha256(`${CONFIG.AUTH_USER}:${realm}:${this.password}`);
+    const ha2 = sha256(`${httpMethod}:${uri}`);
+    const response = sha256(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`);
+
+    return `Digest username="${CONFIG.AUTH_USER}", realm="${realm}", nonce="${nonce}", uri="${uri}", ` +
+      `cnonce="${cnonce}", nc=${nc}, qop=auth, response="${response}", algorithm=SHA-256`;
+  }
+
   /**
    * Get device information
    * @returns {Promise<Object>}
@@ -261,6 +781,35 @@ class ShellyApi {
     return this.request('Shelly.GetStatus');
   }
 
+  /**
+   * Ask the device for available firmware updates
+   * @returns {Promise<Object>} Available versions per stage, e.g. { stable: { version: "1.4.2" } }
+   */
+  checkForUpdate() {
+    return this.request('Shelly.CheckForUpdate');
+  }
+
+  /**
+   * Install the latest firmware of a release stage
+   * The device reports the progress as sys events (ota_begin, ota_progress, ...) and reboots afterwards
+   * @param {string} [stage='stable'] - "stable" or "beta"
+   * @returns {Promise<null>}
+   */
+  update(stage = 'stable') {
+    return this.request('Shelly.Update', { stage });
+  }
+
+  /**
+   * Restart the device, the connection drops and is reestablished by the reconnect logic
+   * @param {number} [delayMs] - Delay before the restart in milliseconds
+   * @returns {Promise<null>}
+   */
+  async reboot(delayMs) {
+    const result = await this.request('Shelly.Reboot', delayMs === undefined ? {} : { delay_ms: delayMs });
+    this.rebootRequestedAt = Date.now();
+    return result;
+  }
+
   /**
    * Get status of a specific cover
    * @param {number} [id=0] - Cover ID
@@ -280,6 +829,36 @@ class ShellyApi {
     return this.request('Cover.GoToPosition', { id, pos });
   }
 
+  /**
+   * Get configuration of a specific cover
+   * @param {number} [id=0] - Cover ID
+   * @returns {Promise<Object>} Cover configuration including slat (venetian mode) settings
+   */
+  getCoverConfig(id = 0) {
+    return this.request('Cover.GetConfig', { id });
+  }
+
+  /**
+   * Change the configuration of a specific cover
+   * @param {Object} config - Partial cover configuration, e.g. { maxtime_open: 60 }
+   * @param {number} [id=0] - Cover ID
+   * @returns {Promise<Object>} Result including restart_required
+   */
+  setCoverConfig(config, id = 0) {
+    return this.request('Cover.SetConfig', { id, config });
+  }
+
+  /**
+   * Move the slats of a venetian blind to a specific position
+   * Requires slat control ("venetian mode") to be enabled in the cover config
+   * @param {number} slatPos - Slat position to move to (0-100)
+   * @param {number} id - Cover ID (default 0)
+   * @returns {Promise<Object>}
+   */
+  coverGoToSlatPosition(slatPos, id = 0) {
+    return this.request('Cover.GoToPosition', { id, slat_pos: slatPos });
+  }
+
   /**
    * Open the cover
    * @param {number} id - Cover ID (default 0)
@@ -307,6 +886,15 @@ class ShellyApi {
     return this.request('Cover.Stop', { id });
   }
 
+  /**
+   * Start the calibration of the cover (measures the open/close times for position control)
+   * @param {number} id - Cover ID (default 0)
+   * @returns {Promise<Object>}
+   */
+  coverCalibrate(id = 0) {
+    return this.request('Cover.Calibrate', { id });
+  }
+
   /**
    * Get status of a specific switch
    * @param {number} [id=0] - Switch ID
@@ -320,10 +908,252 @@ class ShellyApi {
    * Set switch state
    * @param {boolean} on - True to turn on, false to turn off
    * @param {number} [id=0] - Switch ID
+   * @param {number} [toggleAfter] - Flip the switch back after this many seconds
+   * @returns {Promise<Object>}
+   */
+  switchSet(on, id = 0, toggleAfter) {
+    const params = { id, on };
+    if (toggleAfter !== undefined) {
+      params.toggle_after = toggleAfter;
+    }
+    return this.request('Switch.Set', params);
+  }
+
+  /**
+   * Toggle switch state
+   * @param {number} [id=0] - Switch ID
    * @returns {Promise<Object>}
    */
-  switchSet(on, id = 0) {
-    return this.request('Switch.Set', { id, on });
+  switchToggle(id = 0) {
+    return this.request('Switch.Toggle', { id });
+  }
+
+  /**
+   * Get configuration of a specific switch
+   * @param {number} [id=0] - Switch ID
+   * @returns {Promise<Object>} Switch configuration, e.g. initial_state, auto_off, in_mode
+   */
+  getSwitchConfig(id = 0) {
+    return this.request('Switch.GetConfig', { id });
+  }
+
+  /**
+   * Change the configuration of a specific switch
+   * @param {Object} config - Partial switch configuration, e.g. { auto_off: true, auto_off_delay: 60 }
+   * @param {number} [id=0] - Switch ID
+   * @returns {Promise<Object>} Result including restart_required
+   */
+  setSwitchConfig(config, id = 0) {
+    return this.request('Switch.SetConfig', { id, config });
+  }
+
+  /**
+   * Get status of a specific light (dimmer channel)
+   * @param {number} [id=0] - Light ID
+   * @returns {Promise<Object>} Light status including output, brightness and power info
+   */
+  getLightStatus(id = 0) {
+    return this.request('Light.GetStatus', { id });
+  }
+
+  /**
+   * Set light state
+   * @param {Object} params - Light.Set parameters: on, brightness (0-100), transition_duration (s), toggle_after (s)
+   * @param {number} [id=0] - Light ID
+   * @returns {Promise<Object>}
+   */
+  lightSet(params, id = 0) {
+    return this.request('Light.Set', { id, ...params });
+  }
+
+  /**
+   * Get status of a specific RGB light
+   * @param {number} [id=0] - RGB ID
+   * @returns {Promise<Object>} RGB status including output, brightness, rgb and power info
+   */
+  getRgbStatus(id = 0) {
+    return this.request('RGB.GetStatus', { id });
+  }
+
+  /**
+   * Set RGB light state
+   * @param {Object} params - RGB.Set parameters: on, brightness (0-100), rgb ([r, g, b] 0-255), transition_duration (s)
+   * @param {number} [id=0] - RGB ID
+   * @returns {Promise<Object>}
+   */
+  rgbSet(params, id = 0) {
+    return this.request('RGB.Set', { id, ...params });
+  }
+
+  /**
+   * Get status of a specific RGBW light
+   * @param {number} [id=0] - RGBW ID
+   * @returns {Promise<Object>} RGBW status including output, brightness, rgb, white and power info
+   */
+  getRgbwStatus(id = 0) {
+    return this.request('RGBW.GetStatus', { id });
+  }
+
+  /**
+   * Set RGBW light state
+   * @param {Object} params - RGBW.Set parameters: like RGB.Set plus white (0-255)
+   * @param {number} [id=0] - RGBW ID
+   * @returns {Promise<Object>}
+   */
+  rgbwSet(params, id = 0) {
+    return this.request('RGBW.Set', { id, ...params });
+  }
+
+  /**
+   * Get the energy totals of a three phase meter (Pro 3EM)
+   * @param {number} [id=0] - EMData ID
+   * @returns {Promise<Object>} Totals in Wh, e.g. total_act, total_act_ret, a_total_act_energy
+   */
+  getEmDataStatus(id = 0) {
+    return this.request('EMData.GetStatus', { id });
+  }
+
+  /**
+   * Get the energy totals of a single phase meter (Pro EM, Pro 3EM in monophase profile)
+   * @param {number} [id=0] - EM1Data ID
+   * @returns {Promise<Object>} Totals in Wh: total_act_energy, total_act_ret_energy
+   */
+  getEm1DataStatus(id = 0) {
+    return this.request('EM1Data.GetStatus', { id });
+  }
+
+  /**
+   * Get the outbound WebSocket configuration
+   * @returns {Promise<Object>} Ws config: enable, server, ssl_ca
+   */
+  getWsConfig() {
+    return this.request('Ws.GetConfig');
+  }
+
+  /**
+   * Configure the outbound WebSocket the device uses to push notifications
+   * @param {Object} config - Ws config, e.g. { enable: true, server: "ws://192.168.1.10:8765", ssl_ca: "*" }
+   * @returns {Promise<Object>} Result including restart_required
+   */
+  setWsConfig(config) {
+    return this.request('Ws.SetConfig', { config });
+  }
+
+  /**
+   * List the scripts stored on the device
+   * @returns {Promise<Object[]>} Scripts with id, name, enable and running
+   */
+  async listScripts() {
+    const { scripts } = await this.request('Script.List');
+    return scripts;
+  }
+
+  /**
+   * Create an empty script
+   * @param {string} name - Script name
+   * @returns {Promise<Object>} Result with the id of the new script
+   */
+  createScript(name) {
+    return this.request('Script.Create', { name });
+  }
+
+  /**
+   * Write a part of the code of a script
+   * @param {number} id - Script ID
+   * @param {string} code - Code to write
+   * @param {boolean} [append=false] - Append to the existing code instead of replacing it
+   * @returns {Promise<Object>} Result with the new code length
+   */
+  putScriptCode(id, code, append = false) {
+    return this.request('Script.PutCode', { id, code, append });
+  }
+
+  /**
+   * Replace the code of a script, split into chunks the device accepts
+   * @param {number} id - Script ID
+   * @param {string} code - The complete code
+   */
+  async uploadScriptCode(id, code) {
+    // An empty first chunk still clears the old code
+    let offset = 0;
+    do {
+      await this.putScriptCode(id, code.slice(offset, offset + CONFIG.SCRIPT_CHUNK_SIZE), offset > 0);
+      offset += CONFIG.SCRIPT_CHUNK_SIZE;
+    } while (offset < code.length);
+  }
+
+  /**
+   * Configure a script
+   * @param {number} id - Script ID
+   * @param {Object} config - Script config, e.g. { enable: true } to run it at boot
+   * @returns {Promise<Object>} Result including restart_required
+   */
+  setScriptConfig(id, config) {
+    return this.request('Script.SetConfig', { id, config });
+  }
+
+  /**
+   * Start a script
+   * @param {number} id - Script ID
+   * @returns {Promise<Object>} Result with was_running
+   */
+  startScript(id) {
+    return this.request('Script.Start', { id });
+  }
+
+  /**
+   * Stop a script
+   * @param {number} id - Script ID
+   * @returns {Promise<Object>} Result with was_running
+   */
+  stopScript(id) {
+    return this.request('Script.Stop', { id });
+  }
+
+  /**
+   * Delete a script, a running script is stopped first by the device
+   * @param {number} id - Script ID
+   * @returns {Promise<null>}
+   */
+  deleteScript(id) {
+    return this.request('Script.Delete', { id });
+  }
+
+  /**
+   * List the schedule jobs stored on the device
+   * @returns {Promise<Object[]>} Jobs with id, enable, timespec and calls
+   */
+  async listSchedules() {
+    const { jobs } = await this.request('Schedule.List');
+    return jobs;
+  }
+
+  /**
+   * Create a schedule job the device runs on its own
+   * @param {Object} job - e.g. { enable: true, timespec: "0 30 7 * * MON-FRI", calls: [{ method: "Switch.Set", params: { id: 0, on: true } }] }
+   * @returns {Promise<Object>} Result with the id of the new job
+   */
+  createSchedule(job) {
+    return this.request('Schedule.Create', job);
+  }
+
+  /**
+   * Change a schedule job
+   * @param {number} id - Job ID
+   * @param {Object} job - Changed fields, e.g. { enable: false }
+   * @returns {Promise<Object>} Result with the new revision
+   */
+  updateSchedule(id, job) {
+    return this.request('Schedule.Update', { ...job, id });
+  }
+
+  /**
+   * Delete a schedule job
+   * @param {number} id - Job ID
+   * @returns {Promise<Object>} Result with the new revision
+   */
+  deleteSchedule(id) {
+    return this.request('Schedule.Delete', { id });
   }
 
   /**
@@ -336,11 +1166,19 @@ class ShellyApi {
   }
 
   /**
-   * Set the notification handler
+   * Subscribe to NotifyStatus/NotifyEvent messages of this device
+   * @param {Function} handler - The handler function
+   */
+  addNotificationHandler(handler) {
+    this.notificationHandlers.add(handler);
+  }
+
+  /**
+   * Unsubscribe a handler registered with addNotificationHandler
    * @param {Function} handler - The handler function
    */
-  setNotificationHandler(handler) {
-    this.notificationHandler = handler;
+  removeNotificationHandler(handler) {
+    this.notificationHandlers.delete(handler);
   }
 
   /**
@@ -351,14 +1189,53 @@ class ShellyApi {
     if (this.ws) {
       this.ws.terminate();
       this.ws = null;
-      this.isConnected = false;
+    }
+    this.isConnected = false;
+    this.connectPromise = null;
+    this.stopHttpMode();
+
+    const err = new Error('Connection closed');
+    err.code = 'CONNECTION_CLOSED';
+    this.rejectPendingRequests(err);
+  }
+
+  /**
+   * Move the connection to a new address and reconnect
+   * @param {string} ip - The new IP address or hostname of the Shelly device
+   */
+  setAddress(ip) {
+    if (ip === this.ip) {
+      return;
+    }
+
+    this.log(`Address changed to ${ip}`);
+    const wasConnected = this.isConnected;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.cleanupWebSocket();
+
+    this.ip = ip;
+    this.wsUrl = `ws://${ip}/rpc`;
+    this.emit('address-changed', ip);
+
+    if (wasConnected) {
+      this.emit('disconnected');
+    }
+    if (this.autoReconnect && !this.closing) {
+      // A failed attempt schedules the next one via handleClose
+      this.connect().catch(() => {});
     }
   }
 
   /**
-   * Disconnect from the device
+   * Disconnect from the device and stop reconnecting
    */
   disconnect() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
     this.cleanupWebSocket();
   }
 }
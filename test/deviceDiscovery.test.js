@@ -0,0 +1,165 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DeviceDiscovery = require('../lib/deviceDiscovery');
+const FakeShelly = require('./support/fakeShelly');
+
+const INFO = { id: 'shellyplus2pm-a8032ab12345', app: 'Plus2PM', profile: 'switch' };
+const IP = '192.168.1.20';
+
+// Parse a Shelly.GetStatus result into the pairing entries
+function createEntries(status, info = INFO) {
+  const discovery = new DeviceDiscovery({ app: {} });
+  const devices = [];
+  discovery._createDeviceEntries(discovery._parseComponents(status, info), info, IP, devices);
+  return devices;
+}
+
+describe('DeviceDiscovery', () => {
+  describe('normalizeHost', () => {
+    it('accepts IP addresses and hostnames with port', () => {
+      assert.equal(DeviceDiscovery.normalizeHost(' 192.168.1.20 '), '192.168.1.20');
+      assert.equal(DeviceDiscovery.normalizeHost('192.168.1.20:8080'), '192.168.1.20:8080');
+      assert.equal(DeviceDiscovery.normalizeHost('shellyplus1-abc.local'), 'shellyplus1-abc.local');
+    });
+
+    it('strips scheme and path', () => {
+      assert.equal(DeviceDiscovery.normalizeHost('http://192.168.1.20/rpc'), '192.168.1.20');
+    });
+
+    it('rejects invalid input with INVALID_HOST', () => {
+      for (const input of ['', '192.168.1.300', 'not a host', '192.168.1.20:port']) {
+        assert.throws(() => DeviceDiscovery.normalizeHost(input), { code: 'INVALID_HOST' }, input);
+      }
+    });
+  });
+
+  describe('_createDeviceEntries', () => {
+    it('creates one entry per switch and a combined entry for multi-channel units', () => {
+      const devices = createEntries({
+        'switch:0': {}, 'switch:1': {}, 'input:0': {}, 'input:1': {}, sys: {}
+      });
+
+      assert.deepEqual(devices.map(d => d.id), [
+        'shellyplus2pm-a8032ab12345_switch:0',
+        'shellyplus2pm-a8032ab12345_switch:1',
+        'shellyplus2pm-a8032ab12345_multiswitch:0'
+      ]);
+      assert.deepEqual(devices[1].inputs, [1]);
+      assert.deepEqual(devices[2].channels, [0, 1]);
+      assert.deepEqual(devices[2].inputs, [0, 1]);
+      assert.equal(devices[0].name, `Shelly Plus2PM (${IP}) switch 1`);
+    });
+
+    it('creates cover entries with their input pair in the cover profile', () => {
+      const info = { ...INFO, profile: 'cover' };
+      const devices = createEntries({ 'cover:0': {}, 'input:0': {}, 'input:1': {}, sys: {} }, info);
+
+      assert.equal(devices.length, 1);
+      assert.equal(devices[0].id, 'shellyplus2pm-a8032ab12345_cover:0');
+      assert.equal(devices[0].profile, 'cover');
+      assert.deepEqual(devices[0].inputs, [0, 1]);
+    });
+
+    it('creates light, rgb and rgbw entries', () => {
+      const devices = createEntries({ 'light:0': {}, 'light:1': {}, 'rgbw:0': {} });
+
+      assert.deepEqual(devices.map(d => d.component), ['light', 'light', 'rgbw']);
+    });
+
+    it('groups sensor components by id and marks battery devices as sleeping', () => {
+      const devices = createEntries({
+        'temperature:0': {}, 'humidity:0': {}, 'devicepower:0': {}, 'temperature:100': {}
+      });
+
+      const [ht, addon] = devices;
+      assert.deepEqual(ht.sensors, ['temperature', 'humidity', 'devicepower']);
+      assert.equal(ht.sleeping, true);
+      assert.deepEqual(addon.sensors, ['temperature']);
+      assert.equal(addon.sleeping, false);
+      assert.match(addon.name, /add-on sensor 1$/);
+    });
+
+    it('creates energy meter entries independent of the profile', () => {
+      const devices = createEntries({ 'em:0': {}, 'emdata:0': {} }, { ...INFO, profile: 'triphase' });
+
+      assert.deepEqual(devices.map(d => d.id), ['shellyplus2pm-a8032ab12345_em:0']);
+    });
+  });
+
+  describe('probeDevice', () => {
+    it('queries a device and returns its channels', async () => {
+      const shelly = new FakeShelly({ profile: 'cover', covers: 1 });
+      await shelly.start();
+
+      try {
+        const devices = await new DeviceDiscovery({ app: {} }).probeDevice(shelly.address);
+
+        assert.equal(devices.length, 1);
+        assert.equal(devices[0].id, `${shelly.id}_cover:0`);
+        assert.equal(devices[0].ip, shelly.address);
+        assert.equal(devices[0].auth, false);
+      } finally {
+        await shelly.stop();
+      }
+    });
+
+    it('returns a protected entry without components when a password is required', async () => {
+      const shelly = new FakeShelly({ password: 'secret' });
+      await shelly.start();
+
+      try {
+        const devices = await new DeviceDiscovery({ app: {} }).probeDevice(shelly.address);
+
+        assert.equal(devices.length, 1);
+        assert.equal(devices[0].needsPassword, true);
+        assert.equal(devices[0].shellyId, shelly.id);
+        assert.equal(devices[0].component, undefined);
+      } finally {
+        await shelly.stop();
+      }
+    });
+
+    it('lists the channels of a protected device with the password', async () => {
+      const shelly = new FakeShelly({ password: 'secret' });
+      await shelly.start();
+
+      try {
+        const discovery = new DeviceDiscovery({ app: {} }, { password: 'secret' });
+        const devices = await discovery.probeDevice(shelly.address);
+
+        assert.equal(devices.filter(d => d.component === 'switch').length, 2);
+        assert.ok(devices.every(d => d.auth === true));
+      } finally {
+        await shelly.stop();
+      }
+    });
+  });
+
+  describe('discoverDevices', () => {
+    const entry = (shellyId, ip) => ({ id: `${shellyId}_switch:0`, shellyId, ip });
+
+    it('scans the network only when mDNS yields nothing', async () => {
+      const discovery = new DeviceDiscovery({ app: {} });
+      discovery._discoverViaMdns = async () => {};
+      discovery._scanNetwork = async (devices) => {
+        devices.push(entry('shellyplus1-a', '192.168.1.10'), entry('shellyplus1-a', '192.168.1.30'));
+      };
+
+      const devices = await discovery.discoverDevices();
+
+      assert.deepEqual(devices.map(d => `${d.shellyId}@${d.ip}`), ['shellyplus1-a@192.168.1.10']);
+    });
+
+    it('skips the scan when mDNS found a device, even if other announced ones did not answer', async () => {
+      const discovery = new DeviceDiscovery({ app: {} });
+      discovery._discoverViaMdns = async (devices) => {
+        devices.push(entry('shellyplus1-a', '192.168.1.10'));
+      };
+      discovery._scanNetwork = async () => assert.fail('scanned the network');
+
+      assert.equal((await discovery.discoverDevices()).length, 1);
+    });
+  });
+});
@@ -0,0 +1,482 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ShellyApi = require('../lib/shellyApi');
+const DeviceFactory = require('../lib/deviceFactory');
+const BaseDevice = require('../lib/devices/BaseDevice');
+const SwitchDevice = require('../lib/devices/SwitchDevice');
+const CoverDevice = require('../lib/devices/CoverDevice');
+const RgbwDevice = require('../lib/devices/RgbwDevice');
+const SensorDevice = require('../lib/devices/SensorDevice');
+const FakeShelly = require('./support/fakeShelly');
+const MockHomeyDevice = require('./support/homeyDevice');
+
+const SHELLY_ID = 'shellyplus2pm-a8032ab12345';
+
+// Wait until a condition holds, notifications are handled asynchronously
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Homey device with the capabilities of its type, as after pairing
+function createHomeyDevice(component, options = {}) {
+  return new MockHomeyDevice({
+    id: `${SHELLY_ID}_${component}`,
+    capabilities: DeviceFactory.getCapabilities(component.split(':')[0], options),
+    ...options
+  });
+}
+
+// Notification as dispatched by ShellyApi.handleNotification
+function notification(status, events = []) {
+  const api = new ShellyApi('127.0.0.1');
+  return { timestamp: 1, updates: api.parseComponentStatus(status), events };
+}
+
+describe('DeviceFactory', () => {
+  it('takes the type from the device id', () => {
+    assert.equal(DeviceFactory.getType(new MockHomeyDevice({ id: `${SHELLY_ID}_cover:0` })), 'cover');
+    assert.equal(DeviceFactory.getType(new MockHomeyDevice({ id: `${SHELLY_ID}_rgbw:0` })), 'rgbw');
+  });
+
+  it('prefers the binding stored by a repair', () => {
+    const device = new MockHomeyDevice({
+      id: `${SHELLY_ID}_switch:1`,
+      store: { binding: { component: 'cover', channel: 0 } }
+    });
+    assert.equal(DeviceFactory.getType(device), 'cover');
+  });
+
+  it('falls back to the profile setting for old device ids', () => {
+    const device = new MockHomeyDevice({ id: SHELLY_ID, settings: { profile: 'cover' } });
+    assert.equal(DeviceFactory.getType(device), 'cover');
+  });
+
+  it('maps types to capabilities', () => {
+    assert.deepEqual(DeviceFactory.getCapabilities('switch').slice(0, 2), ['onoff', 'measure_power']);
+    assert.ok(DeviceFactory.getCapabilities('cover').includes('windowcoverings_set'));
+    assert.ok(DeviceFactory.getCapabilities('rgbw').includes('dim.white'));
+    assert.deepEqual(
+      DeviceFactory.getCapabilities('sensor', { sensors: ['temperature', 'humidity', 'devicepower'] }),
+      ['measure_temperature', 'measure_humidity', 'measure_battery']
+    );
+    assert.ok(DeviceFactory.getCapabilities('multiswitch', { channels: [0, 1] }).includes('onoff.2'));
+    assert.ok(DeviceFactory.getCapabilities('em').includes('measure_power.phase3'));
+  });
+
+  it('maps types to device classes', () => {
+    assert.equal(DeviceFactory.getClass('light'), 'light');
+    assert.equal(DeviceFactory.getClass('sensor'), 'sensor');
+    assert.equal(DeviceFactory.getClass('switch'), null);
+  });
+});
+
+describe('BaseDevice schedules', () => {
+  it('creates timespecs from clock times and sunrise or sunset', () => {
+    assert.equal(BaseDevice.createTimespec('7:30', 'weekdays'), '0 30 7 * * MON-FRI');
+    assert.equal(BaseDevice.createTimespec('sunset - 30m', 'everyday'), '@sunset-30m * * *');
+    assert.equal(BaseDevice.createTimespec('Sunrise+1h15m', 'sun'), '@sunrise+1h15m * * SUN');
+  });
+
+  it('rejects invalid times', () => {
+    for (const time of ['24:00', '7', 'noon', 'sunset+', 'sunset+30s']) {
+      assert.throws(() => BaseDevice.createTimespec(time, 'everyday'), /HH:MM/, time);
+    }
+  });
+
+  it('describes timespecs', () => {
+    assert.equal(BaseDevice.describeTimespec('0 5 7 * * MON-FRI'), '07:05 MON-FRI');
+    assert.equal(BaseDevice.describeTimespec('@sunset-30m * * *'), 'sunset-30m every day');
+    assert.equal(BaseDevice.describeTimespec('0 0 */2 * * *'), '0 0 */2 * * *');
+  });
+});
+
+describe('SwitchDevice', () => {
+  let shelly;
+  let api;
+  let device;
+  let impl;
+
+  beforeEach(async () => {
+    shelly = new FakeShelly({ id: SHELLY_ID, switches: 2 });
+    shelly.status['switch:1'] = { ...shelly.status['switch:1'], output: true, apower: 42, aenergy: { total: 1500 } };
+    await shelly.start();
+
+    api = new ShellyApi(shelly.address, `homey-${SHELLY_ID}`);
+    device = createHomeyDevice('switch:1', { store: { inputs: [1] } });
+    impl = new SwitchDevice(device, api);
+    await impl.init();
+  });
+
+  afterEach(async () => {
+    await impl.destroy();
+    api.disconnect();
+    await shelly.stop();
+  });
+
+  it('reads the initial state of its channel', () => {
+    assert.equal(device.available, true);
+    assert.equal(device.getCapabilityValue('onoff'), true);
+    assert.equal(device.getCapabilityValue('measure_power'), 42);
+    assert.equal(device.getCapabilityValue('meter_power'), 1.5);
+  });
+
+  it('switches its channel from the onoff capability', async () => {
+    await device.triggerCapabilityListener('onoff', false);
+
+    const request = shelly.requests.find(r => r.method === 'Switch.Set');
+    assert.deepEqual(request.params, { id: 1, on: false });
+    assert.equal(shelly.status['switch:1'].output, false);
+  });
+
+  it('follows NotifyStatus of its own channel only', async () => {
+    shelly.notifyStatus({ 'switch:0': { apower: 99 } });
+    shelly.notifyStatus({ 'switch:1': { output: false, apower: 0 } });
+
+    await waitFor(() => device.getCapabilityValue('onoff') === false);
+    assert.equal(device.getCapabilityValue('measure_power'), 0);
+  });
+
+  it('triggers the power flows with previous and current power', async () => {
+    shelly.notifyStatus({ 'switch:1': { apower: 100 } });
+
+    await waitFor(() => device.triggers.length === 2);
+    assert.deepEqual(device.triggers.map(t => t.cardId), ['power_rose_above', 'power_fell_below']);
+    assert.deepEqual(device.triggers[0].state, { previous: 42, current: 100 });
+  });
+
+  it('keeps the energy meter rising when the counter restarts', async () => {
+    shelly.notifyStatus({ 'switch:1': { aenergy: { total: 200 } } });
+
+    await waitFor(() => device.getCapabilityValue('meter_power') === 1.7);
+    assert.equal(device.getStoreValue('meter_power_offset'), 1500);
+  });
+
+  it('triggers input flows for the inputs of its channel', async () => {
+    shelly.notifyEvent([
+      { component: 'input:0', id: 0, event: 'single_push' },
+      { component: 'input:1', id: 1, event: 'double_push' }
+    ]);
+
+    await waitFor(() => device.triggers.length === 1);
+    assert.deepEqual(device.triggers[0], { cardId: 'input_double_push', tokens: { input: 1 }, state: {} });
+  });
+
+  it('checks the profile when joining an open connection', async () => {
+    shelly.profile = 'cover';
+    const other = createHomeyDevice('switch:0', { settings: { profile: 'switch' } });
+    const otherImpl = new SwitchDevice(other, api);
+
+    await otherImpl.init();
+
+    assert.equal(other.available, false);
+    assert.match(other.unavailableMessage, /repair the device/);
+    await otherImpl.destroy();
+  });
+
+  it('goes unavailable and searches the network when another Shelly answers', async () => {
+    shelly.id = 'shellyplus2pm-a8032ab99999';
+    const unreachable = new Promise(resolve => api.once('unreachable', resolve));
+    const other = createHomeyDevice('switch:0');
+    const otherImpl = new SwitchDevice(other, api);
+
+    await otherImpl.init();
+    await unreachable;
+
+    assert.equal(other.available, false);
+    assert.match(other.unavailableMessage, /Another Shelly/);
+    await otherImpl.destroy();
+  });
+
+  it('becomes unavailable while the connection is down', async () => {
+    api.autoReconnect = false;
+    shelly.dropClients();
+
+    await waitFor(() => device.available === false);
+  });
+
+  it('shows the firmware versions and triggers once per new version', async () => {
+    await waitFor(() => device.getSetting('firmware_version') === '1.3.3');
+
+    shelly.notifyStatus({ sys: { available_updates: { stable: { version: '1.4.2' } } } });
+    shelly.notifyStatus({ sys: { available_updates: { stable: { version: '1.4.2' } } } });
+
+    await waitFor(() => device.getSetting('firmware_available') === '1.4.2 (stable)');
+    const triggers = device.triggers.filter(t => t.cardId === 'firmware_update_available');
+    assert.deepEqual(triggers.map(t => t.tokens), [{ version: '1.4.2', current: '1.3.3' }]);
+  });
+
+  it('reads the firmware versions when joining an open connection', async () => {
+    shelly.availableUpdates = { stable: { version: '1.4.2' } };
+    const other = createHomeyDevice('switch:0');
+    const otherImpl = new SwitchDevice(other, api);
+
+    await otherImpl.init();
+
+    assert.equal(other.getSetting('firmware_version'), '1.3.3');
+    assert.equal(other.getSetting('firmware_available'), '1.4.2 (stable)');
+    assert.ok(other.triggers.some(t => t.cardId === 'firmware_update_available'));
+    await otherImpl.destroy();
+  });
+
+  it('skips the firmware update when the Shelly is up to date', async () => {
+    assert.equal(await impl.updateFirmware('stable'), false);
+    assert.ok(!shelly.requests.some(r => r.method === 'Shelly.Update'));
+  });
+
+  it('is unavailable during the firmware update and reconnects afterwards', async () => {
+    api.autoReconnect = true;
+    shelly.availableUpdates = { beta: { version: '1.5.0-beta1' } };
+
+    assert.equal(await impl.updateFirmware('beta'), true);
+
+    await waitFor(() => device.available === false);
+    assert.match(device.unavailableMessage, /firmware update/i);
+    await waitFor(() => device.available && device.getSetting('firmware_version') === '1.5.0-beta1', 5000);
+    assert.equal(impl.updatingFirmware, false);
+    assert.ok(!device.triggers.some(t => t.cardId === 'device_rebooted'));
+  });
+
+  it('creates and starts a new script', async () => {
+    const id = await impl.uploadScript('leak', 'Shelly.emitEvent("leak", { level: 3 });');
+
+    assert.deepEqual(shelly.scripts, [
+      { id, name: 'leak', enable: false, running: true, code: 'Shelly.emitEvent("leak", { level: 3 });' }
+    ]);
+  });
+
+  it('stops a running script while its code is replaced', async () => {
+    shelly.scripts.push({ id: 3, name: 'leak', enable: true, running: true, code: 'old' });
+
+    assert.equal(await impl.uploadScript('leak', 'new'), 3);
+
+    const methods = shelly.requests.map(r => r.method).filter(m => m.startsWith('Script.'));
+    assert.deepEqual(methods, ['Script.List', 'Script.Stop', 'Script.PutCode', 'Script.Start']);
+    assert.equal(shelly.scripts[0].code, 'new');
+    assert.equal(shelly.scripts[0].running, true);
+  });
+
+  it('triggers flows for events emitted by scripts', async () => {
+    shelly.notifyEvent([{ component: 'script:3', id: 3, event: 'leak', data: { level: 3 } }]);
+
+    await waitFor(() => device.triggers.some(t => t.cardId === 'script_event'));
+    const trigger = device.triggers.find(t => t.cardId === 'script_event');
+    assert.deepEqual(trigger.tokens, { script: 3, event: 'leak', data: '{"level":3}' });
+  });
+
+  it('stores schedules on the Shelly and lists the ones of its channel', async () => {
+    shelly.jobs.push({
+      id: 1, enable: true, timespec: '0 0 22 * * *', calls: [{ method: 'Switch.Set', params: { id: 0, on: false } }]
+    });
+
+    const id = await impl.addSchedule('06:45', 'weekdays', true);
+
+    assert.deepEqual(shelly.jobs[1], {
+      id, enable: true, timespec: '0 45 6 * * MON-FRI', calls: [{ method: 'Switch.Set', params: { id: 1, on: true } }]
+    });
+    assert.equal(device.getSetting('schedules'), '06:45 MON-FRI: on');
+  });
+
+  it('shows device temperature, Wi-Fi signal and uptime', async () => {
+    await waitFor(() => device.getSetting('diag_uptime') === '1 h 0 min');
+
+    assert.equal(device.getCapabilityValue('measure_temperature'), 40.5);
+    assert.equal(device.getSetting('diag_wifi'), 'Home (-60 dBm)');
+
+    shelly.notifyStatus({ wifi: { rssi: -72 } });
+    await waitFor(() => device.getSetting('diag_wifi') === 'Home (-72 dBm)');
+  });
+
+  it('shows the diagnostics when joining an open connection', async () => {
+    const other = createHomeyDevice('switch:0');
+    const otherImpl = new SwitchDevice(other, api);
+
+    await otherImpl.init();
+
+    assert.equal(other.getSetting('diag_wifi'), 'Home (-60 dBm)');
+    assert.equal(other.getSetting('diag_uptime'), '1 h 0 min');
+    assert.equal(otherImpl.lastUptime, 3600);
+    await otherImpl.destroy();
+  });
+
+  it('raises the heat alarm on overtemperature', async () => {
+    shelly.notifyStatus({ 'switch:1': { output: false, errors: ['overtemp'] } });
+    await waitFor(() => device.getCapabilityValue('alarm_heat') === true);
+
+    shelly.notifyStatus({ 'switch:1': { output: true } });
+    await waitFor(() => device.getCapabilityValue('alarm_heat') === false);
+  });
+
+  it('triggers a flow when the Shelly restarted unexpectedly', async () => {
+    await waitFor(() => impl.lastUptime === 3600);
+
+    shelly.notifyStatus({ sys: { uptime: 12 } });
+
+    await waitFor(() => device.triggers.some(t => t.cardId === 'device_rebooted'));
+    assert.deepEqual(device.triggers.find(t => t.cardId === 'device_rebooted').tokens, { uptime: 3600 });
+  });
+
+  it('restarts the Shelly from the maintenance action without triggering the flow', async () => {
+    api.autoReconnect = true;
+    await waitFor(() => impl.lastUptime === 3600);
+
+    await device.triggerCapabilityListener('button.reboot', true);
+
+    await waitFor(() => device.available === false);
+    assert.match(device.unavailableMessage, /restarting/);
+    await waitFor(() => device.available && impl.lastUptime === 5, 5000);
+    assert.ok(!device.triggers.some(t => t.cardId === 'device_rebooted'));
+  });
+
+  it('restarts the Shelly to activate the outbound WebSocket', async () => {
+    api.autoReconnect = true;
+    device.homey.app.inboundServer = { getUrl: async () => 'ws://192.168.1.10:8765' };
+    await waitFor(() => impl.lastUptime === 3600);
+
+    assert.equal(await impl.configureOutboundWebSocket(), true);
+
+    assert.deepEqual(shelly.config.ws, { enable: true, server: 'ws://192.168.1.10:8765', ssl_ca: '*' });
+    assert.ok(shelly.requests.some(r => r.method === 'Shelly.Reboot'));
+    await waitFor(() => device.available && impl.lastUptime === 5, 5000);
+    assert.ok(!device.triggers.some(t => t.cardId === 'device_rebooted'));
+    assert.equal(await impl.configureOutboundWebSocket(), false);
+  });
+
+  it('disables and removes schedules', async () => {
+    const id = await impl.addSchedule('sunset', 'everyday', false);
+
+    await impl.setScheduleEnabled(id, false);
+    assert.equal(device.getSetting('schedules'), 'sunset every day: off (disabled)');
+
+    await impl.removeSchedule(id);
+    assert.equal(device.getSetting('schedules'), 'None');
+    assert.deepEqual(shelly.jobs, []);
+  });
+
+  it('skips and clamps config values the settings cannot show', async () => {
+    Object.assign(shelly.config['switch:1'], { in_mode: 'cycle', power_limit: 5000 });
+
+    await impl.syncConfig();
+
+    assert.equal(device.getSetting('switch_initial_state'), 'off');
+    assert.equal(device.getSetting('switch_in_mode'), undefined);
+    assert.equal(device.getSetting('switch_power_limit'), 4480);
+  });
+
+  it('writes changed config settings and rejects the ones of covers', async () => {
+    await impl.writeConfig({ switch_auto_off: true, switch_auto_off_delay: 30 }, ['switch_auto_off', 'switch_auto_off_delay']);
+    assert.equal(shelly.config['switch:1'].auto_off_delay, 30);
+
+    await assert.rejects(impl.writeConfig({ cover_maxtime_open: 30 }, ['cover_maxtime_open']), /cover settings/);
+  });
+});
+
+describe('SensorDevice', () => {
+  it('warns a sleeping sensor when the app cannot receive its updates', async () => {
+    const api = new ShellyApi('127.0.0.1:1');
+    const device = createHomeyDevice('temperature:0', {
+      sensors: ['temperature'],
+      store: { sleeping: true, sensors: ['temperature'] }
+    });
+    device.homey.app.inboundServer = { isListening: () => false };
+    const impl = new SensorDevice(device, api);
+
+    await impl.init();
+
+    assert.equal(device.available, true);
+    assert.match(device.warning, /WebSocket server of the app is not running/);
+    api.disconnect();
+  });
+});
+
+describe('LightDevice schedules', () => {
+  it('switches the light component of its channel', () => {
+    const impl = new RgbwDevice(createHomeyDevice('rgbw:0'), new ShellyApi('127.0.0.1'));
+    const job = { enable: true, timespec: '0 30 7 * * MON-FRI', calls: impl.getScheduleCalls(true) };
+
+    assert.deepEqual(job.calls, [{ method: 'RGBW.Set', params: { id: 0, on: true } }]);
+    assert.equal(impl.describeSchedule(job), '07:30 MON-FRI: on');
+    assert.equal(impl.describeScheduleCall({ method: 'Switch.Set', params: { id: 0, on: true } }), null);
+  });
+});
+
+describe('CoverDevice', () => {
+  let device;
+  let impl;
+
+  beforeEach(() => {
+    device = createHomeyDevice('cover:0', { store: { inputs: [0, 1] } });
+    impl = new CoverDevice(device, new ShellyApi('127.0.0.1'));
+  });
+
+  it('maps state and position', async () => {
+    await impl.handleNotification(notification({ 'cover:0': { state: 'opening', current_pos: 40 } }));
+
+    assert.equal(device.getCapabilityValue('windowcoverings_state'), 'up');
+    assert.equal(device.getCapabilityValue('cover_state'), 'opening');
+    assert.equal(device.getCapabilityValue('windowcoverings_set'), 0.4);
+    assert.equal(impl.isMoving(), true);
+  });
+
+  it('ignores other cover channels', async () => {
+    await impl.handleNotification(notification({ 'cover:1': { state: 'closing', current_pos: 10 } }));
+
+    assert.equal(device.getCapabilityValue('cover_state'), null);
+  });
+
+  it('triggers cover_reached_position when a movement ends', async () => {
+    await impl.handleNotification(notification({ 'cover:0': { state: 'closing' } }));
+    await impl.handleNotification(notification({ 'cover:0': { state: 'stopped', current_pos: 25 } }));
+
+    const trigger = device.triggers.find(t => t.cardId === 'cover_reached_position');
+    assert.deepEqual(trigger.tokens, { position: 25 });
+    assert.equal(device.getCapabilityValue('windowcoverings_state'), 'idle');
+  });
+
+  it('raises the problem alarm for errors and obstruction events', async () => {
+    await impl.handleNotification(notification({}, [{ component: 'cover:0', id: 0, event: 'obstruction' }]));
+
+    assert.equal(device.getCapabilityValue('alarm_problem'), true);
+    assert.deepEqual(device.triggers.find(t => t.cardId === 'cover_error').tokens, { error: 'obstruction' });
+
+    // The next movement clears it
+    await impl.handleNotification(notification({ 'cover:0': { state: 'opening' } }));
+    assert.equal(device.getCapabilityValue('alarm_problem'), false);
+  });
+
+  it('schedules positions of its channel', () => {
+    const job = { enable: true, timespec: '@sunrise * * *', calls: impl.getScheduleCalls(80) };
+
+    assert.deepEqual(job.calls, [{ method: 'Cover.GoToPosition', params: { id: 0, pos: 80 } }]);
+    assert.equal(impl.describeSchedule(job), 'sunrise every day: position 80%');
+    assert.equal(impl.describeScheduleCall({ method: 'Cover.Open', params: { id: 1 } }), null);
+  });
+
+  it('warns when the cover is not calibrated', async () => {
+    await impl.handleNotification(notification({ 'cover:0': { pos_control: false } }));
+    assert.match(device.warning, /Not calibrated/);
+
+    await impl.handleNotification(notification({ 'cover:0': { pos_control: true } }));
+    assert.equal(device.warning, null);
+  });
+
+  it('waits for the movement to start before waiting for the stop', async () => {
+    const states = [
+      { state: 'stopped', current_pos: 20 },
+      { state: 'opening', current_pos: 30 },
+      { state: 'stopped', current_pos: 50 }
+    ];
+    impl.api.coverGoToPosition = async () => null;
+    impl.api.getCoverStatus = async () => states.shift();
+
+    assert.equal(await impl.goToPositionAndWait(50), 50);
+    assert.equal(states.length, 0);
+  });
+});
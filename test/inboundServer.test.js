@@ -0,0 +1,108 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const ShellyApi = require('../lib/shellyApi');
+const InboundServer = require('../lib/inboundServer');
+const DeviceFactory = require('../lib/deviceFactory');
+const SwitchDevice = require('../lib/devices/SwitchDevice');
+const FakeShelly = require('./support/fakeShelly');
+const MockHomeyDevice = require('./support/homeyDevice');
+
+const SHELLY_ID = 'shellyplus2pm-a8032ab12345';
+
+// Wait until a condition holds, pushed frames are handled asynchronously
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('InboundServer', () => {
+  let api;
+  let server;
+  let client;
+
+  // Outbound WebSocket of the Shelly, connected to the server
+  async function connectClient() {
+    client = new WebSocket(`ws://127.0.0.1:${server.wss.address().port}`);
+    await new Promise((resolve, reject) => {
+      client.once('open', resolve);
+      client.once('error', reject);
+    });
+  }
+
+  function push(method, params) {
+    client.send(JSON.stringify({ src: SHELLY_ID, dst: 'ws', method, params }));
+  }
+
+  beforeEach(async () => {
+    const pool = { get: shellyId => (shellyId === SHELLY_ID ? api : null) };
+    server = new InboundServer({}, pool, 0);
+    await server.listen();
+  });
+
+  afterEach(() => {
+    if (client) {
+      client.terminate();
+      client = null;
+    }
+    server.close();
+    api.disconnect();
+  });
+
+  it('handles pushed frames while the connection runs over HTTP', async () => {
+    const shelly = new FakeShelly({ id: SHELLY_ID, websocket: false });
+    await shelly.start();
+    api = new ShellyApi(shelly.address, `homey-${SHELLY_ID}`, { httpFallback: true });
+    await api.connect();
+    assert.equal(api.transport, 'http');
+
+    const received = [];
+    api.addNotificationHandler(data => received.push(data));
+    await connectClient();
+    push('NotifyEvent', { ts: 1, events: [{ component: 'input:0', id: 0, event: 'single_push' }] });
+
+    await waitFor(() => received.length > 0);
+    assert.equal(received[0].events[0].event, 'single_push');
+    assert.equal(api.pushing, true);
+
+    api.disconnect();
+    await shelly.stop();
+  });
+
+  it('keeps a device that can only push available', async () => {
+    api = new ShellyApi('127.0.0.1:1', `homey-${SHELLY_ID}`);
+    const device = new MockHomeyDevice({
+      id: `${SHELLY_ID}_switch:0`,
+      capabilities: DeviceFactory.getCapabilities('switch')
+    });
+    const impl = new SwitchDevice(device, api);
+    await impl.init();
+    assert.equal(device.available, false);
+
+    await connectClient();
+    push('NotifyStatus', { ts: 1, 'switch:0': { id: 0, output: true } });
+
+    await waitFor(() => device.getCapabilityValue('onoff') === true);
+    assert.equal(device.available, true);
+
+    client.close();
+    await waitFor(() => device.available === false);
+    assert.equal(api.pushing, false);
+    await impl.destroy();
+  });
+
+  it('reports a failed listen as not running', async () => {
+    const other = new InboundServer({}, { get: () => null }, server.wss.address().port);
+    api = new ShellyApi('127.0.0.1:1');
+
+    await assert.rejects(other.listen(), { code: 'EADDRINUSE' });
+    await assert.rejects(other.getUrl(), /not running/);
+  });
+});
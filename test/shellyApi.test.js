@@ -0,0 +1,305 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ShellyApi = require('../lib/shellyApi');
+const FakeShelly = require('./support/fakeShelly');
+
+// Resolves with the next call of a notification handler
+function nextNotification(api) {
+  return new Promise((resolve) => {
+    const handler = (data) => {
+      api.removeNotificationHandler(handler);
+      resolve(data);
+    };
+    api.addNotificationHandler(handler);
+  });
+}
+
+describe('ShellyApi', () => {
+  let shelly;
+  let api;
+
+  beforeEach(async () => {
+    shelly = new FakeShelly();
+    await shelly.start();
+    api = new ShellyApi(shelly.address, 'homey-test');
+  });
+
+  afterEach(async () => {
+    api.disconnect();
+    await shelly.stop();
+  });
+
+  describe('requests', () => {
+    it('connects and emits connected with the initial status', async () => {
+      const connected = new Promise(resolve => api.once('connected', resolve));
+      await api.connect();
+
+      const status = await connected;
+      assert.equal(status['switch:0'].output, false);
+      assert.equal(shelly.requests[0].method, 'Shelly.GetStatus');
+      assert.equal(shelly.requests[0].src, 'homey-test');
+    });
+
+    it('correlates concurrent responses by id', async () => {
+      const [info, switch0, switch1] = await Promise.all([
+        api.getDeviceInfo(),
+        api.getSwitchStatus(0),
+        api.getSwitchStatus(1)
+      ]);
+
+      assert.equal(info.id, shelly.id);
+      assert.equal(switch0.id, 0);
+      assert.equal(switch1.id, 1);
+      assert.equal(api.pendingRequests.size, 0);
+    });
+
+    it('sends params with the request', async () => {
+      await api.switchSet(true, 1, 30);
+
+      const request = shelly.requests.find(r => r.method === 'Switch.Set');
+      assert.deepEqual(request.params, { id: 1, on: true, toggle_after: 30 });
+      assert.equal(shelly.status['switch:1'].output, true);
+    });
+
+    it('rejects RPC errors with code and message', async () => {
+      shelly.failWith('Switch.Set', -103, 'Invalid argument');
+
+      await assert.rejects(api.switchSet(true, 0), (err) => {
+        assert.equal(err.rpcCode, -103);
+        assert.equal(err.rpcMessage, 'Invalid argument');
+        return true;
+      });
+    });
+
+    it('rejects unknown methods', async () => {
+      await assert.rejects(api.request('Foo.Bar'), { rpcCode: 404 });
+    });
+
+    it('times out requests that are not answered', async () => {
+      await api.connect();
+      shelly.stall('Switch.GetStatus');
+
+      await assert.rejects(api.getSwitchStatus(0), { message: 'REQUEST_TIMEOUT' });
+      assert.equal(api.pendingRequests.size, 0);
+
+      // The connection is still usable afterwards
+      const info = await api.getDeviceInfo();
+      assert.equal(info.id, shelly.id);
+    });
+
+    it('rejects pending requests when the connection drops', async () => {
+      await api.connect();
+      shelly.stall('Switch.GetStatus');
+
+      const pending = api.getSwitchStatus(0);
+      shelly.dropClients();
+
+      await assert.rejects(pending, { code: 'CONNECTION_CLOSED' });
+    });
+  });
+
+  describe('scripts', () => {
+    it('uploads long code in chunks', async () => {
+      const { id } = await api.createScript('long');
+      const code = 'let a = 1;\n'.repeat(250);
+
+      await api.uploadScriptCode(id, code);
+
+      const chunks = shelly.requests.filter(r => r.method === 'Script.PutCode');
+      assert.equal(chunks.length, 3);
+      assert.deepEqual(chunks.map(r => r.params.append), [false, true, true]);
+      assert.equal(shelly.scripts[0].code, code);
+    });
+
+    it('clears the code with an empty upload', async () => {
+      const { id } = await api.createScript('empty');
+      await api.putScriptCode(id, 'print(1);');
+
+      await api.uploadScriptCode(id, '');
+
+      assert.equal(shelly.scripts[0].code, '');
+    });
+  });
+
+  describe('notifications', () => {
+    it('routes NotifyStatus to all handlers grouped by component', async () => {
+      await api.connect();
+      const first = nextNotification(api);
+      const second = nextNotification(api);
+
+      shelly.notifyStatus({ 'switch:1': { output: true, apower: 12.5 } });
+
+      for (const data of await Promise.all([first, second])) {
+        assert.deepEqual(data.updates.switch[1], { output: true, apower: 12.5 });
+        assert.deepEqual(data.events, []);
+        assert.equal(data.timestamp, shelly.status.sys.unixtime);
+      }
+    });
+
+    it('passes NotifyEvent events to the handlers', async () => {
+      await api.connect();
+      const notification = nextNotification(api);
+
+      shelly.notifyEvent([{ component: 'input:0', id: 0, event: 'single_push' }]);
+
+      const data = await notification;
+      assert.deepEqual(data.events, [{ component: 'input:0', id: 0, event: 'single_push' }]);
+    });
+
+    it('ignores frames addressed to another client by dst', async () => {
+      await api.connect();
+      const received = [];
+      api.addNotificationHandler(data => received.push(data));
+
+      shelly.push('NotifyStatus', { 'switch:0': { output: true } }, 'someone-else');
+      shelly.notifyStatus({ 'switch:1': { output: true } });
+      await nextNotification(api);
+
+      assert.equal(received.length, 1);
+      assert.ok(received[0].updates.switch[1]);
+    });
+
+    it('stops calling removed handlers', async () => {
+      await api.connect();
+      const received = [];
+      const handler = data => received.push(data);
+      api.addNotificationHandler(handler);
+      api.removeNotificationHandler(handler);
+
+      shelly.notifyStatus({ 'switch:0': { output: true } });
+      await nextNotification(api);
+
+      assert.equal(received.length, 0);
+    });
+
+    it('keeps notifying other handlers when one fails', async () => {
+      await api.connect();
+      api.addNotificationHandler(async () => {
+        throw new Error('boom');
+      });
+      const notification = nextNotification(api);
+
+      shelly.notifyStatus({ 'switch:0': { output: true } });
+
+      const data = await notification;
+      assert.equal(data.updates.switch[0].output, true);
+    });
+  });
+
+  describe('authentication', () => {
+    beforeEach(async () => {
+      api.disconnect();
+      await shelly.stop();
+      shelly = new FakeShelly({ password: 'secret' });
+      await shelly.start();
+    });
+
+    it('answers the digest challenge with the password', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test', { password: 'secret' });
+
+      const status = await api.getStatus();
+      assert.ok(status['switch:0']);
+    });
+
+    it('fails with AUTH_REQUIRED without password', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test');
+
+      await assert.rejects(api.getStatus(), { code: 'AUTH_REQUIRED' });
+    });
+
+    it('fails with AUTH_FAILED for a wrong password', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test', { password: 'wrong' });
+
+      await assert.rejects(api.getStatus(), { code: 'AUTH_FAILED' });
+    });
+
+    it('renews an expired nonce', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test', { password: 'secret' });
+      await api.getStatus();
+
+      // The device issues a new challenge for the next request
+      shelly.nonce++;
+
+      const status = await api.getStatus();
+      assert.ok(status['switch:0']);
+    });
+  });
+
+  describe('connection supervision', () => {
+    it('reconnects and emits disconnected and connected', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test', { autoReconnect: true });
+      await api.connect();
+
+      const disconnected = new Promise(resolve => api.once('disconnected', resolve));
+      const reconnected = new Promise(resolve => api.once('connected', resolve));
+      shelly.dropClients();
+
+      await disconnected;
+      const status = await reconnected;
+      assert.ok(status['switch:0']);
+      assert.equal(api.isConnected, true);
+    });
+
+    it('falls back to HTTP when the WebSocket upgrade is refused', async () => {
+      api.disconnect();
+      await shelly.stop();
+      shelly = new FakeShelly({ websocket: false });
+      await shelly.start();
+      api = new ShellyApi(shelly.address, 'homey-test', { httpFallback: true });
+
+      // The first request connects and must already go over HTTP
+      const status = await api.getSwitchStatus(1);
+
+      assert.equal(status.id, 1);
+      assert.equal(api.transport, 'http');
+      assert.equal(api.isConnected, true);
+
+      await api.switchSet(true, 0);
+      assert.equal(shelly.status['switch:0'].output, true);
+    });
+
+    it('does not reconnect after disconnect()', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test', { autoReconnect: true });
+      await api.connect();
+
+      api.disconnect();
+
+      assert.equal(api.isConnected, false);
+      assert.equal(api.reconnectTimer, null);
+    });
+
+    it('rejects requests after disconnect() instead of reopening the connection', async () => {
+      api = new ShellyApi(shelly.address, 'homey-test', { autoReconnect: true });
+      await api.connect();
+      api.disconnect();
+
+      await assert.rejects(api.getSwitchStatus(0), { code: 'CONNECTION_CLOSED' });
+      assert.equal(api.isConnected, false);
+      assert.equal(api.reconnectTimer, null);
+    });
+  });
+
+  describe('parseComponentStatus', () => {
+    it('groups components by type and id and drops the timestamp', () => {
+      const updates = api.parseComponentStatus({
+        ts: 1,
+        'switch:0': { output: true },
+        'switch:1': { output: false },
+        'input:0': { state: true }
+      });
+
+      assert.deepEqual(updates, {
+        switch: { 0: { output: true }, 1: { output: false } },
+        input: { 0: { state: true } }
+      });
+    });
+
+    it('keeps components without id as they are', () => {
+      const updates = api.parseComponentStatus({ sys: { available_updates: {} }, 'switch:0': {} });
+
+      assert.deepEqual(updates, { sys: { available_updates: {} }, switch: { 0: {} } });
+    });
+  });
+});
@@ -0,0 +1,472 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+/**
+ * @private
+ * SHA-256 hex digest as used by the Gen2 digest authentication
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Fake Shelly Gen2 device speaking JSON-RPC over WebSocket and HTTP on /rpc
+ *
+ * Keeps a status with switch, cover and input components that RPC calls change,
+ * pushes NotifyStatus / NotifyEvent frames on demand and can inject RPC errors,
+ * unanswered requests (timeouts) and a digest authentication challenge.
+ * Shelly.Update runs through the OTA events and a reboot like a real device.
+ * Scripts and schedule jobs are kept in memory, Shelly.Reboot restarts the uptime.
+ */
+class FakeShelly {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.id] - Shelly id, also used as auth realm
+   * @param {string} [options.app] - App name, e.g. "Plus2PM"
+   * @param {string} [options.profile] - "switch" or "cover"
+   * @param {number} [options.switches] - Number of switch components in the switch profile
+   * @param {number} [options.covers] - Number of cover components in the cover profile
+   * @param {number} [options.inputs] - Number of input components
+   * @param {string} [options.password] - Enables authentication for user admin (WebSocket only)
+   * @param {boolean} [options.websocket=true] - false refuses the WebSocket upgrade, leaving only HTTP
+   */
+  constructor(options = {}) {
+    this.id = options.id || 'shellyplus2pm-a8032ab12345';
+    this.app = options.app || 'Plus2PM';
+    this.profile = options.profile || 'switch';
+    this.password = options.password || null;
+    this.websocket = options.websocket !== false;
+    this.nonce = 1000;
+    this.ver = '1.3.3';
+    this.availableUpdates = {};  // e.g. { stable: { version: "1.4.2" } }
+    this.scripts = [];           // { id, name, enable, running, code }
+    this.jobs = [];              // { id, enable, timespec, calls }
+
+    this.status = {
+      sys: { unixtime: 1700000000, uptime: 3600 },
+      wifi: { sta_ip: '127.0.0.1', status: 'got ip', ssid: 'Home', rssi: -60 }
+    };
+    this.config = {};
+    this.config.ws = { enable: false, server: null, ssl_ca: 'ca.pem' };
+    if (this.profile === 'cover') {
+      for (let id = 0; id < (options.covers ?? 1); id++) {
+        this.status[`cover:${id}`] = {
+          id, source: 'init', state: 'stopped', apower: 0, voltage: 230, current: 0,
+          current_pos: 0, pos_control: true, aenergy: { total: 0 }
+        };
+        this.config[`cover:${id}`] = { id, maxtime_open: 60, maxtime_close: 60, slat: { enable: false } };
+      }
+    } else {
+      for (let id = 0; id < (options.switches ?? 2); id++) {
+        this.status[`switch:${id}`] = {
+          id, source: 'init', output: false, apower: 0, voltage: 230, current: 0, aenergy: { total: 0 },
+          temperature: { tC: 40.5, tF: 104.9 }
+        };
+        this.config[`switch:${id}`] = { id, initial_state: 'off', auto_off: false, auto_off_delay: 60 };
+      }
+    }
+    for (let id = 0; id < (options.inputs ?? 2); id++) {
+      this.status[`input:${id}`] = { id, state: false };
+    }
+
+    this.requests = [];          // Every received frame, e.g. for assertions on params
+    this.errors = new Map();     // method -> { code, message }
+    this.stalled = new Set();    // methods that are never answered
+    this.clients = new Map();    // WebSocket -> src of the client
+    this.server = null;
+    this.wss = null;
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<string>} Address to use as ip, e.g. "127.0.0.1:41234"
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.server = http.createServer((req, res) => this.handleHttpRequest(req, res));
+      if (this.websocket) {
+        this.wss = new WebSocketServer({ server: this.server, path: '/rpc' });
+        this.wss.on('connection', ws => this.handleConnection(ws));
+      } else {
+        this.server.on('upgrade', (req, socket) => {
+          socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+        });
+      }
+      this.server.listen(0, '127.0.0.1', () => resolve(this.address));
+    });
+  }
+
+  get address() {
+    return `127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop the server and drop all clients
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.dropClients();
+    if (this.wss) {
+      this.wss.close();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Close all client connections, e.g. to simulate a reboot
+   */
+  dropClients() {
+    for (const ws of this.clients.keys()) {
+      ws.terminate();
+    }
+    this.clients.clear();
+  }
+
+  /**
+   * Answer a method with an RPC error until cleared
+   * @param {string} method - e.g. "Switch.Set"
+   * @param {number} code - RPC error code
+   * @param {string} message - RPC error message
+   */
+  failWith(method, code, message) {
+    this.errors.set(method, { code, message });
+  }
+
+  /**
+   * Never answer a method, so the client runs into its request timeout
+   * @param {string} method - e.g. "Shelly.GetStatus"
+   */
+  stall(method) {
+    this.stalled.add(method);
+  }
+
+  /**
+   * Change component status and push it as NotifyStatus
+   * @param {Object} changes - e.g. { "switch:0": { output: true } }
+   */
+  notifyStatus(changes) {
+    for (const [key, value] of Object.entries(changes)) {
+      this.status[key] = { ...this.status[key], ...value };
+    }
+    this.push('NotifyStatus', { ts: this.status.sys.unixtime, ...changes });
+  }
+
+  /**
+   * Push a NotifyEvent
+   * @param {Object[]} events - e.g. [{ component: "input:0", id: 0, event: "single_push" }]
+   */
+  notifyEvent(events) {
+    this.push('NotifyEvent', { ts: this.status.sys.unixtime, events });
+  }
+
+  /**
+   * Send a notification frame to every client, addressed to its src
+   * @param {string} method - Notification method
+   * @param {Object} params - Notification params
+   * @param {string} [dst] - Override the destination, e.g. to address another client
+   */
+  push(method, params, dst) {
+    for (const [ws, src] of this.clients) {
+      this.send(ws, { src: this.id, dst: dst || src, method, params });
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleConnection(ws) {
+    this.clients.set(ws, null);
+    ws.on('message', (data) => {
+      const request = JSON.parse(data.toString());
+      this.requests.push(request);
+      // Notifications go to the src of the last request, as on a real device
+      this.clients.set(ws, request.src);
+      const frame = this.handleRequest(request);
+      if (frame) {
+        this.send(ws, { id: request.id, src: this.id, dst: request.src, ...frame });
+      }
+    });
+    ws.on('close', () => this.clients.delete(ws));
+  }
+
+  /**
+   * @private
+   * GET /rpc/<Method>?id=0 answers with the plain result, POST /rpc with a JSON-RPC frame
+   */
+  handleHttpRequest(req, res) {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      let request;
+      if (req.method === 'POST' && url.pathname === '/rpc') {
+        request = JSON.parse(body);
+      } else if (req.method === 'GET' && url.pathname.startsWith('/rpc/')) {
+        // Query values are numbers or booleans, the only params sent over GET
+        const params = {};
+        for (const [key, value] of url.searchParams) {
+          params[key] = value === 'true' || value === 'false' ? value === 'true' : Number(value);
+        }
+        request = { method: url.pathname.slice('/rpc/'.length), params };
+      } else {
+        res.writeHead(404).end();
+        return;
+      }
+
+      this.requests.push(request);
+      const frame = this.handleRequest(request);
+      if (!frame) {
+        return;
+      }
+      const answer = req.method === 'POST' ? { id: request.id, src: this.id, ...frame } : frame.result ?? frame.error;
+      res.writeHead(frame.error ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answer));
+    });
+  }
+
+  /**
+   * @private
+   * @returns {Object|null} Frame with result or error, null for stalled methods
+   */
+  handleRequest(request) {
+    const { method, params = {} } = request;
+
+    if (this.stalled.has(method)) {
+      return null;
+    }
+
+    // Like on the real device, the device info is readable without password
+    if (this.password && method !== 'Shelly.GetDeviceInfo' && !this.isAuthorized(request.auth)) {
+      return { error: { code: 401, message: JSON.stringify(this.createChallenge()) } };
+    }
+
+    if (this.errors.has(method)) {
+      return { error: this.errors.get(method) };
+    }
+
+    const handler = this.methods[method];
+    if (!handler) {
+      return { error: { code: 404, message: `No handler for ${method}` } };
+    }
+
+    try {
+      return { result: handler.call(this, params) };
+    } catch (err) {
+      return { error: { code: -103, message: err.message } };
+    }
+  }
+
+  /**
+   * @private
+   */
+  createChallenge() {
+    this.nonce++;
+    return { auth_type: 'digest', nonce: this.nonce, nc: 1, realm: this.id, algorithm: 'SHA-256' };
+  }
+
+  /**
+   * @private
+   * Check the auth block of a frame against the last issued nonce
+   */
+  isAuthorized(auth) {
+    if (!auth || auth.nonce !== this.nonce || auth.realm !== this.id) {
+      return false;
+    }
+    const ha1 = sha256(`admin:${this.id}:${this.password}`);
+    const ha2 = sha256('dummy_method:dummy_uri');
+    return auth.response === sha256(`${ha1}:${auth.nonce}:1:${auth.cnonce}:auth:${ha2}`);
+  }
+
+  /**
+   * @private
+   */
+  component(type, id = 0) {
+    const status = this.status[`${type}:${id}`];
+    if (!status) {
+      throw new Error(`${type}:${id} not found`);
+    }
+    return status;
+  }
+
+  /**
+   * @private
+   */
+  script(id) {
+    const script = this.scripts.find(s => s.id === id);
+    if (!script) {
+      throw new Error(`script:${id} not found`);
+    }
+    return script;
+  }
+
+  /**
+   * @private
+   */
+  send(ws, frame) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(frame));
+    }
+  }
+}
+
+// RPC methods, called with the FakeShelly as this
+FakeShelly.prototype.methods = {
+  'Shelly.GetDeviceInfo'() {
+    return {
+      id: this.id, mac: this.id.split('-').pop().toUpperCase(), model: 'SNSW-102P16EU',
+      gen: 2, app: this.app, ver: this.ver, profile: this.profile, auth_en: Boolean(this.password)
+    };
+  },
+  'Shelly.GetStatus'() {
+    return this.status;
+  },
+  'Shelly.Reboot'() {
+    setImmediate(() => {
+      this.status.sys.uptime = 5;
+      this.dropClients();
+    });
+    return null;
+  },
+  'Ws.GetConfig'() {
+    return this.config.ws;
+  },
+  'Ws.SetConfig'({ config }) {
+    Object.assign(this.config.ws, config);
+    // Like a real device the outbound WebSocket is reconfigured on the next boot
+    return { restart_required: true };
+  },
+  'Shelly.CheckForUpdate'() {
+    return this.availableUpdates;
+  },
+  'Shelly.Update'({ stage }) {
+    const version = this.availableUpdates[stage]?.version;
+    if (!version) {
+      throw new Error(`No ${stage} update available`);
+    }
+
+    // Answer first, then install and reboot into the new version
+    setImmediate(() => {
+      const ota = (event, data) => this.notifyEvent([{ component: 'sys', event, ...data }]);
+      ota('ota_begin', { msg: 'Waiting for data' });
+      ota('ota_progress', { msg: 'Downloading', progress_percent: 50 });
+      ota('ota_success', { msg: 'Update applied, rebooting' });
+      this.ver = version;
+      this.status.sys.uptime = 5;
+      this.availableUpdates = {};
+      this.dropClients();
+    });
+    return null;
+  },
+  'Script.List'() {
+    return { scripts: this.scripts.map(({ code, ...script }) => script) };
+  },
+  'Script.Create'({ name }) {
+    const id = this.scripts.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+    this.scripts.push({ id, name, enable: false, running: false, code: '' });
+    return { id };
+  },
+  'Script.PutCode'({ id, code, append }) {
+    const script = this.script(id);
+    script.code = append ? script.code + code : code;
+    return { len: script.code.length };
+  },
+  'Script.SetConfig'({ id, config }) {
+    Object.assign(this.script(id), { enable: config.enable });
+    return { restart_required: false };
+  },
+  'Script.Start'({ id }) {
+    const script = this.script(id);
+    const wasRunning = script.running;
+    script.running = true;
+    return { was_running: wasRunning };
+  },
+  'Script.Stop'({ id }) {
+    const script = this.script(id);
+    const wasRunning = script.running;
+    script.running = false;
+    return { was_running: wasRunning };
+  },
+  'Script.Delete'({ id }) {
+    this.script(id);
+    this.scripts = this.scripts.filter(s => s.id !== id);
+    return null;
+  },
+  'Schedule.List'() {
+    return { jobs: this.jobs, rev: this.jobs.length };
+  },
+  'Schedule.Create'({ enable, timespec, calls }) {
+    const id = this.jobs.reduce((max, job) => Math.max(max, job.id), 0) + 1;
+    this.jobs.push({ id, enable, timespec, calls });
+    return { id, rev: this.jobs.length };
+  },
+  'Schedule.Update'({ id, ...changes }) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    Object.assign(job, changes);
+    return { rev: this.jobs.length };
+  },
+  'Schedule.Delete'({ id }) {
+    this.jobs = this.jobs.filter(job => job.id !== id);
+    return { rev: this.jobs.length };
+  },
+  'Switch.GetStatus'({ id }) {
+    return this.component('switch', id);
+  },
+  'Switch.Set'({ id, on }) {
+    const status = this.component('switch', id);
+    const wasOn = status.output;
+    this.notifyStatus({ [`switch:${id}`]: { output: on, source: 'WS_in' } });
+    return { was_on: wasOn };
+  },
+  'Switch.Toggle'({ id }) {
+    const status = this.component('switch', id);
+    const wasOn = status.output;
+    this.notifyStatus({ [`switch:${id}`]: { output: !wasOn, source: 'WS_in' } });
+    return { was_on: wasOn };
+  },
+  'Switch.GetConfig'({ id }) {
+    this.component('switch', id);
+    return this.config[`switch:${id}`];
+  },
+  'Switch.SetConfig'({ id, config }) {
+    this.component('switch', id);
+    Object.assign(this.config[`switch:${id}`], config);
+    return { restart_required: false };
+  },
+  'Cover.GetStatus'({ id }) {
+    return this.component('cover', id);
+  },
+  'Cover.GetConfig'({ id }) {
+    this.component('cover', id);
+    return this.config[`cover:${id}`];
+  },
+  'Cover.GoToPosition'({ id, pos }) {
+    this.component('cover', id);
+    this.notifyStatus({ [`cover:${id}`]: { state: 'stopped', current_pos: pos } });
+    return null;
+  },
+  'Cover.Open'({ id }) {
+    this.component('cover', id);
+    this.notifyStatus({ [`cover:${id}`]: { state: 'opening' } });
+    return null;
+  },
+  'Cover.Close'({ id }) {
+    this.component('cover', id);
+    this.notifyStatus({ [`cover:${id}`]: { state: 'closing' } });
+    return null;
+  },
+  'Cover.Stop'({ id }) {
+    this.component('cover', id);
+    this.notifyStatus({ [`cover:${id}`]: { state: 'stopped' } });
+    return null;
+  }
+};
+
+module.exports = FakeShelly;
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Minimal stand-in for a Homey.Device as used by the device implementations
+ * Records capability values, availability and triggered flow cards
+ */
+class MockHomeyDevice {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.id] - Data id, e.g. "shellyplus2pm-a8032ab12345_switch:0"
+   * @param {string[]} [options.capabilities] - Initial capabilities
+   * @param {Object} [options.settings] - Initial settings
+   * @param {Object} [options.store] - Initial store values
+   */
+  constructor(options = {}) {
+    this.data = { id: options.id || 'shellyplus2pm-a8032ab12345_switch:0' };
+    this.capabilities = new Map((options.capabilities || []).map(capability => [capability, null]));
+    this.settings = { ...options.settings };
+    this.store = { ...options.store };
+    this.listeners = new Map();
+    this.available = true;
+    this.unavailableMessage = null;
+    this.warning = null;
+    this.deviceClass = 'socket';
+    this.triggers = [];  // { cardId, tokens, state }
+
+    this.homey = {
+      flow: {
+        getDeviceTriggerCard: cardId => ({
+          trigger: async (device, tokens, state) => {
+            this.triggers.push({ cardId, tokens, state });
+          }
+        })
+      },
+      app: {}
+    };
+
+    this.log = () => {};
+    this.error = () => {};
+  }
+
+  getName() {
+    return 'Mock Shelly';
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getSetting(key) {
+    return this.settings[key];
+  }
+
+  getSettings() {
+    return this.settings;
+  }
+
+  async setSettings(settings) {
+    Object.assign(this.settings, settings);
+  }
+
+  getStoreValue(key) {
+    return this.store[key];
+  }
+
+  async setStoreValue(key, value) {
+    this.store[key] = value;
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  getCapabilities() {
+    return [...this.capabilities.keys()];
+  }
+
+  async addCapability(capability) {
+    if (!this.capabilities.has(capability)) {
+      this.capabilities.set(capability, null);
+    }
+  }
+
+  async removeCapability(capability) {
+    this.capabilities.delete(capability);
+  }
+
+  async setCapabilityOptions() {
+  }
+
+  getCapabilityValue(capability) {
+    return this.capabilities.get(capability) ?? null;
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.capabilities.has(capability)) {
+      throw new Error(`Invalid Capability: ${capability}`);
+    }
+    this.capabilities.set(capability, value);
+  }
+
+  registerCapabilityListener(capability, listener) {
+    this.listeners.set(capability, listener);
+  }
+
+  /**
+   * Call the capability listener as Homey does when the user changes a value
+   */
+  async triggerCapabilityListener(capability, value, opts = {}) {
+    const listener = this.listeners.get(capability);
+    if (!listener) {
+      throw new Error(`No listener for ${capability}`);
+    }
+    return listener(value, opts);
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  async setUnavailable(message) {
+    this.available = false;
+    this.unavailableMessage = message;
+  }
+
+  async setWarning(message) {
+    this.warning = message;
+  }
+
+  async unsetWarning() {
+    this.warning = null;
+  }
+
+  getClass() {
+    return this.deviceClass;
+  }
+
+  async setClass(deviceClass) {
+    this.deviceClass = deviceClass;
+  }
+}
+
+module.exports = MockHomeyDevice;